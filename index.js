@@ -10,8 +10,28 @@
 const net = require('net')
 const events = require('events')
 const readline = require('readline')
+const util = require('util')
+const { openAudio } = require('./lib/audio')
+const { Registry } = require('./lib/metrics')
+const { MessageStream } = require('./lib/stream')
 
 const DISPATCH_TIMEOUT = 10000
+const ACKNOWLEDGE_MARGIN = 200
+// connect attempt deadline, not tied to delay between attempts
+const CONNECT_TIMEOUT = 5000
+const KEEPALIVE_DELAY = 10000
+const HEARTBEAT_INTERVAL = 5000
+const HEARTBEAT_TIMEOUT = 3000
+const ROLES = ['global', 'channel', 'play', 'record', 'playrec']
+const OVERFLOW_POLICIES = ['drop-oldest', 'drop-newest', 'reject']
+// what happens to console output in piped mode, where stdout is protocol channel
+const CONSOLE_MODES = ['silent', 'stderr']
+const CONSOLE_METHODS = ['log', 'info', 'debug', 'dir', 'warn', 'error']
+// types of modules which have channels
+const CHANNEL_TYPES = ['varchans', 'fixchans']
+
+// ids of outgoing messages, unique within process
+let sequence = 0
 
 class Connection extends events.EventEmitter {
   constructor (options, connectListener) {
@@ -29,8 +49,32 @@ class Connection extends events.EventEmitter {
     this.host = options.host || '127.0.0.1'
     this.reconnectTimeout = options.reconnectTimeout || 500
     this.reconnect = options.reconnect !== false
+    this.connectTimeout = options.connectTimeout || CONNECT_TIMEOUT
+    this.backoff = typeof options.backoff === 'function'
+      ? options.backoff
+      : exponentialBackoff(Object.assign({ initial: this.reconnectTimeout, factor: 1 }, options.backoff))
+    this.attempts = 0
+    this.keepAlive = options.keepAlive === undefined ? KEEPALIVE_DELAY : options.keepAlive
+    this.heartbeat = options.heartbeat && Object.assign({
+      interval: HEARTBEAT_INTERVAL,
+      timeout: HEARTBEAT_TIMEOUT
+    }, options.heartbeat)
     this.piped = !(this.port || this.path)
-    this.decorate = options.decorate !== false
+    this.decorate = options.decorate === undefined ? true : options.decorate
+    this.setlocalTimeout = options.setlocalTimeout || DISPATCH_TIMEOUT
+    this.dispatchTimeout = options.dispatchTimeout || DISPATCH_TIMEOUT
+    this.maxQueue = options.maxQueue === undefined ? Infinity : options.maxQueue
+    this.overflow = options.overflow || 'drop-oldest'
+    if (!OVERFLOW_POLICIES.includes(this.overflow)) {
+      throw new Error(`overflow ${this.overflow} is invalid`)
+    }
+    this.ttl = options.ttl === undefined ? Infinity : options.ttl
+    this.role = options.role
+    this.channel = options.channel
+    this.type = options.type
+    if (this.role && !ROLES.includes(this.role)) {
+      throw new Error(`role ${this.role} is invalid`)
+    }
 
     this.parameters = options.parameters || {}
     for (const key in this.parameters) {
@@ -39,10 +83,19 @@ class Connection extends events.EventEmitter {
     this.parameters.trackparam = this.parameters.trackparam || 'nodejs'
 
     if (this.piped) {
-      this.in_stream = process.stdin
-      this.out_stream = process.stdout
+      this.in_stream = options.input || process.stdin
+      this.out_stream = options.output || process.stdout
       this.parameters.restart = true
-      console.log = console.dir = console.error = console.warn = function () {
+      if (options.audio) {
+        // channel role: audio from Yate on fd 3, to Yate on fd 4
+        const { input, output } = openAudio(options.audio)
+        this.audioIn = input
+        this.audioOut = output
+        for (const audio of [input, output]) {
+          if (audio) {
+            audio.on('error', (error) => this.emit('error', error))
+          }
+        }
       }
     } else {
       this.network = {
@@ -50,21 +103,37 @@ class Connection extends events.EventEmitter {
         port: this.port,
         host: this.host
       }
-      process.on('SIGINT', () => {
-        if (this.socket) {
-          this.socket.end()
-        }
-        this.reconnect = false
-        this.removeAllListeners()
-        setTimeout(process.exit, 20)
-      })
     }
 
+    // process-wide changes are opt-in, and undone by close()
+    this.console = options.console
+    if (this.console && !CONSOLE_MODES.includes(this.console)) {
+      throw new Error(`console ${this.console} is invalid`)
+    }
+    if (this.console && this.piped && this.out_stream === process.stdout) {
+      this._hijackConsole()
+    }
+    this.signals = options.signals === true ? ['SIGINT'] : options.signals || []
+    this.signalHandler = () => {
+      this.close({ drain: true }).then(() => process.exit())
+    }
+    this.signals.forEach((signal) => process.on(signal, this.signalHandler))
+
     this.queue = []
+    this.counters = { queued: 0, expired: 0, dropped: 0 }
     this.setlocalCallbacks = {}
+    this.configSections = {}
     this.dispatchCallbacks = {}
     this.subscriptions = {}
     this.watchers = {}
+    // functions ever given to watch(), to tell them from unwatch() callbacks
+    this.watchListeners = new WeakSet()
+    this.acknowledgements = {}
+    // incoming messages which are not acknowledged yet
+    this.handling = 0
+    this.closed = false
+    this.metrics = new Registry()
+    this.meters = meters(this)
 
     if (typeof connectListener === 'function') {
       this.on('connect', connectListener)
@@ -72,7 +141,7 @@ class Connection extends events.EventEmitter {
   }
 
   connect (delay) {
-    if (this.connected) return
+    if (this.connected || this.closed) return
     if (this.piped) {
       this.arg = process.argv[2]
       setTimeout(this._start.bind(this), 200)
@@ -85,43 +154,141 @@ class Connection extends events.EventEmitter {
     }
   }
 
-  dispatch (name, params, callback) {
+  dispatch (name, params, options, callback) {
     if (!((typeof name === 'string') && name)) {
       throw new Error('message name required')
     }
+    if (typeof params === 'function') {
+      callback = params
+      params = null
+      options = null
+    } else if (typeof options === 'function') {
+      callback = options
+      options = null
+    }
+    const { signal, ttl = this.ttl, timeout = this.dispatchTimeout } = options || {}
+    if (this.closed) {
+      throw new Error('connection is closed')
+    }
+    if (!this.connected && this.overflow === 'reject' && this.queue.length >= this.maxQueue) {
+      throw new Error('queue is full')
+    }
     const message = new Message(name, params)
-    if (typeof callback === 'function') {
-      this.dispatchCallbacks[message._id] = callback
-      setTimeout(() => {
-        if (message._id in this.dispatchCallbacks) { // still there
-          callback(new Error('timeout'))
-          delete this.dispatchCallbacks[message._id]
+    // message may be handed over to other connection before it's sent
+    message._connection = this
+    message._timeout = timeout
+    const promise = settle(callback, (done) => {
+      const reply = (err, retval, params) => {
+        clearTimeout(message._timer)
+        clearTimeout(message._expiry)
+        if (signal) signal.removeEventListener('abort', abort)
+        delete message._connection.dispatchCallbacks[message._id]
+        if (typeof callback === 'function') {
+          callback(err, retval, params)
+        } else {
+          done(err, { retval, params })
+        }
+        message._connection._checkDrained()
+      }
+      const abort = () => {
+        message._connection._unqueue(message)
+        reply(signal.reason || abortError())
+      }
+      this.dispatchCallbacks[message._id] = reply
+      if (signal) {
+        if (signal.aborted) {
+          // do not even queue it
+          message._type = 'aborted'
+          return abort()
         }
-      }, DISPATCH_TIMEOUT)
+        signal.addEventListener('abort', abort, { once: true })
+      }
+    })
+    if (message._type === 'outgoing') {
+      if (this.connected) {
+        this._dispatch(message)
+      } else {
+        this._enqueue(message, ttl)
+      }
     }
+    return promise || message
+  }
+
+  enqueue (name, params, options) {
+    // fire and forget: message with empty id is not answered by Yate
+    if (!((typeof name === 'string') && name)) {
+      throw new Error('message name required')
+    }
+    const { ttl = this.ttl } = options || {}
+    if (this.closed) {
+      throw new Error('connection is closed')
+    }
+    if (!this.connected && this.overflow === 'reject' && this.queue.length >= this.maxQueue) {
+      throw new Error('queue is full')
+    }
+    const message = new Message(name, params)
+    message._id = ''
+    message._connection = this
     if (this.connected) {
       this._dispatch(message)
     } else {
-      this.queue.push(message)
+      this._enqueue(message, ttl)
     }
-    return message
   }
 
   setlocal (name, value, callback) {
     validateLocalValue(name, value)
-    this.parameters[name] = value
-    this.setlocalCallbacks[name] = callback
-    if (this.connected) {
-      this._setlocal(name, value)
+    if (value !== '') {
+      // empty value is a query, nothing to restore on reconnect
+      this.parameters[name] = value
     }
+    return settle(callback, (done) => {
+      const request = { value, callback: done }
+      request.timer = setTimeout(() => {
+        // keep request in queue until answered, so that answers still match their requests
+        request.callback = null
+        done(new Error('timeout'))
+      }, this.setlocalTimeout)
+      if (this.connected) {
+        this._setlocal(name, value, request)
+      } else {
+        this._pushSetlocal(name, request)
+      }
+    })
   }
 
   getlocal (name, callback) {
-    this.setlocal(name, '', callback)
+    return this.setlocal(name, '', callback)
   }
 
   getconfig (section, key, callback) {
-    this.getlocal('config.' + section + '.' + key, callback)
+    return this.getlocal('config.' + section + '.' + key, callback)
+  }
+
+  getsection (section, callback) {
+    let promise = this.configSections[section]
+    if (!promise) {
+      promise = this.configSections[section] = this._loadSection(section)
+      promise.catch(() => {
+        // don't cache failures
+        if (this.configSections[section] === promise) {
+          delete this.configSections[section]
+        }
+      })
+    }
+    if (typeof callback === 'function') {
+      promise.then((values) => callback(null, values), callback)
+      return
+    }
+    return promise
+  }
+
+  clearsection (section) {
+    if (section === undefined) {
+      this.configSections = {}
+    } else {
+      delete this.configSections[section]
+    }
   }
 
   subscribe (name, priority, filterParam, filterVal, listener) {
@@ -132,10 +299,12 @@ class Connection extends events.EventEmitter {
       listener = priority
       priority = null
       filterParam = null
+      filterVal = null
     } else {
       if (typeof filterParam === 'function') {
         listener = filterParam
         filterParam = null
+        filterVal = null
       } else {
         if (typeof listener === 'function') {
           // ok
@@ -144,24 +313,42 @@ class Connection extends events.EventEmitter {
         }
       }
     }
-    priority = priority || ''
+    // 100 and '100' are the same priority
+    priority = priority === null || priority === undefined ? '' : String(priority)
     if (!(/^\d{0,5}$/.test(priority))) {
       throw new Error(`priority ${priority} is invalid`)
     }
-    if (this.subscriptions[name]) {
-      throw new Error(`subscription to '${name}' already exists, unsubscribe first`)
+    const subscription = this.subscriptions[name]
+    if (subscription) {
+      // engine knows only one hook per name, other listeners join the chain
+      if (subscription.priority !== priority || subscription.filterParam !== filterParam ||
+        subscription.filterVal !== filterVal) {
+        throw new Error(`subscription to '${name}' already exists with different priority or filter`)
+      }
+      subscription.listeners.push(listener)
+      return subscription.installed
     }
-    this.subscriptions[name] = { name, priority, filterParam, filterVal, listener }
+    const installed = this._expect('install', name)
+    this.subscriptions[name] = { name, priority, filterParam, filterVal, listeners: [listener], installed }
     if (this.connected) {
       this._install(name, priority, filterParam, filterVal)
     }
+    return installed
   }
 
-  unsubscribe (name) {
+  unsubscribe (name, listener) {
+    const subscription = this.subscriptions[name]
+    if (subscription && typeof listener === 'function') {
+      subscription.listeners = subscription.listeners.filter((item) => item !== listener)
+      if (subscription.listeners.length) return Promise.resolve()
+    }
     delete this.subscriptions[name]
     if (this.connected) {
+      const uninstalled = this._expect('uninstall', name)
       this._uninstall(name)
+      return uninstalled
     }
+    return Promise.resolve()
   }
 
   watch (name, listener) {
@@ -179,28 +366,196 @@ class Connection extends events.EventEmitter {
         this.setlocal('selfwatch', true)
       }
     }
-    if (this.watchers[name]) {
-      throw new Error(`watcher to '${name}' already exists, unwatch first`)
+    // several listeners share one watch in Yate
+    this.watchListeners.add(listener)
+    const watcher = this.watchers[name]
+    if (watcher) {
+      watcher.listeners.push(listener)
+      return watcher.watched
     }
-    this.watchers[name] = listener
+    const watched = this._expect('watch', name)
+    this.watchers[name] = { listeners: [listener], watched }
     if (this.connected) {
       this._watch(name)
     }
+    return watched
   }
 
-  unwatch (name) {
+  unwatch (name, listener, callback) {
+    // unwatch(name[, callback]) removes all listeners, unwatch(name, listener[, callback]) only given one
+    const watcher = this.watchers[name]
+    if (this.watchListeners.has(listener)) {
+      const index = watcher ? watcher.listeners.indexOf(listener) : -1
+      if (index === -1 || watcher.listeners.length > 1) {
+        if (index !== -1) watcher.listeners.splice(index, 1)
+        return settle(callback, (done) => done(null))
+      }
+    } else if (typeof listener === 'function') {
+      callback = listener
+    }
     delete this.watchers[name]
+    this.emit('unwatch', name)
     if (this.connected) {
+      const unwatched = this._expect('unwatch', name, callback)
       this._unwatch(name)
+      return unwatched
     }
+    return settle(callback, (done) => done(null))
+  }
+
+  messages (name, options) {
+    // object mode Readable of { name, retval, params } of watched messages, also async iterable
+    return new MessageStream(this, name, options)
+  }
+
+  quit (callback) {
+    // engine acknowledges and closes the connection
+    this.reconnect = false
+    const quitted = this._expect('quit', '', callback)
+    this._send('%%>quit')
+    return quitted
   }
 
-  command (line, callback) {
-    this.dispatch('engine.command', { line }, callback)
+  async close (options) {
+    // uninstalls, optionally waits for answers and listeners (drain: true or time limit in ms), then quits
+    const { drain = false } = options || {}
+    if (this.closed) return
+    this.closed = true
+    this.reconnect = false
+    clearTimeout(this.timer)
+    this._stopHeartbeat()
+    this.signals.forEach((signal) => process.removeListener(signal, this.signalHandler))
+    this._restoreConsole()
+
+    const limit = this.setlocalTimeout
+    if (this.connected) {
+      await withTimeout(Promise.all([
+        ...Object.keys(this.subscriptions).map((name) => this.unsubscribe(name)),
+        ...Object.keys(this.watchers).map((name) => this.unwatch(name))
+      ]).catch(() => {}), limit)
+    } else {
+      // nobody would take care of them
+      this.subscriptions = {}
+      Object.keys(this.watchers).forEach((name) => this.unwatch(name))
+    }
+    if (drain) {
+      await withTimeout(new Promise((resolve) => {
+        this.drained = resolve
+        this._checkDrained()
+      }), typeof drain === 'number' ? drain : this.dispatchTimeout)
+      this.drained = null
+    }
+
+    const error = new Error('connection is closed')
+    this.queue.splice(0).forEach((message) => {
+      clearTimeout(message._expiry)
+      const reply = this.dispatchCallbacks[message._id]
+      if (reply) reply(error)
+    })
+    Object.values(this.dispatchCallbacks).forEach((reply) => reply(error))
+    for (const name in this.setlocalCallbacks) {
+      this.setlocalCallbacks[name].forEach((request) => {
+        clearTimeout(request.timer)
+        if (request.callback) request.callback(error)
+      })
+    }
+    this.setlocalCallbacks = {}
+
+    if (this.connected) {
+      await withTimeout(this.quit().catch(() => {}), limit)
+    }
+    if (this.socket) {
+      // socket closed by engine has nothing to wait for
+      const socket = this.socket
+      if (!socket.destroyed) {
+        const closed = new Promise((resolve) => socket.once('close', resolve))
+        socket.end()
+        await withTimeout(closed, limit)
+        socket.destroy()
+      }
+    } else if (this.piped) {
+      if (this.rl) this.rl.close()
+      if (this.out_stream !== process.stdout) this.out_stream.end()
+      this.connected = false
+    }
+    this.emit('close')
   }
 
-  status (module, callback) {
-    this.dispatch('engine.status', { module }, callback)
+  command (line, options, callback) {
+    return this.dispatch('engine.command', { line }, options, callback)
+  }
+
+  status (module, options, callback) {
+    // parsed status of module, or array of them if module is not given
+    if (typeof module === 'function') {
+      callback = module
+      module = null
+      options = null
+    } else if (typeof options === 'function') {
+      callback = options
+      options = null
+    }
+    return settle(callback, (done) => {
+      this.dispatch('engine.status', module ? { module } : {}, options, (err, retval) => {
+        // asked for all modules, each of them appends its line and lets message go on, so it's not processed
+        if (err && !retval) return done(err)
+        const statuses = parseStatus(retval)
+        if (module && !statuses.length) return done(new Error(`no status of ${module}`))
+        done(null, module ? statuses[0] : statuses)
+      })
+    })
+  }
+
+  channels (callback) {
+    // channels of all drivers, rows of their status details with module name added
+    return settle(callback, (done) => {
+      this.status().then((statuses) => {
+        const channels = []
+        statuses.filter((status) => CHANNEL_TYPES.includes(status.type)).forEach((status) => {
+          status.details.forEach((row) => channels.push(Object.assign({ module: status.name }, row)))
+        })
+        done(null, channels)
+      }, done)
+    })
+  }
+
+  calls (callback) {
+    // calls being accounted by cdrbuild module
+    return settle(callback, (done) => {
+      this.status('cdrbuild').then((status) => done(null, status.details), done)
+    })
+  }
+
+  registrations (module, callback) {
+    // users registered to regfile module, or other registrar which reports them in status
+    if (typeof module === 'function') {
+      callback = module
+      module = null
+    }
+    return settle(callback, (done) => {
+      this.status(module || 'regfile').then((status) => done(null, status.details), done)
+    })
+  }
+
+  loadModule (file, callback) {
+    return this._moduleCommand('load', file, callback)
+  }
+
+  unloadModule (name, callback) {
+    return this._moduleCommand('unload', name, callback)
+  }
+
+  _moduleCommand (action, name, callback) {
+    // Yate answers with text, which tells about failure
+    return settle(callback, (done) => {
+      this.command(`module ${action} ${name}`, (err, retval) => {
+        retval = retval || ''
+        if (!err && /^(failed|could not|cannot|can't|unable|no such)/i.test(retval.trim())) {
+          err = new Error(retval)
+        }
+        done(err, retval)
+      })
+    })
   }
 
   log (text) {
@@ -221,30 +576,83 @@ class Connection extends events.EventEmitter {
       this._start()
     })
 
-    this.socket.on('end', () => {
+    // close follows both end and error, also when socket is destroyed by timeout or heartbeat
+    const socket = this.socket
+    socket.on('close', () => {
+      if (socket !== this.socket) return
+      const connected = this.connected
       this.connected = false
-      this.emit('disconnect')
-      if (this.reconnect) {
-        this.connect(this.reconnectTimeout)
+      this.connecting = false
+      clearTimeout(this.timer)
+      this._stopHeartbeat()
+      if (connected) {
+        this.emit('disconnect')
       }
+      this._retry()
     })
 
-    this.socket.on('error', (error) => {
-      this.connected = false
-      if (this.reconnect) {
-        this.connect(this.reconnectTimeout)
-      } else {
+    socket.on('error', (error) => {
+      if (!this.reconnect) {
         this.emit('error', error)
       }
     })
 
+    if (this.keepAlive) {
+      socket.setKeepAlive(true, this.keepAlive)
+    }
+
+    // error is emitted without reconnect, so that caller doesn't wait forever
     this.timer = setTimeout(() => {
-      if (this.reconnect) {
-        this.connect(100)
-      }
-    }, this.reconnectTimeout)
+      socket.destroy(new Error('connect timeout'))
+    }, this.connectTimeout)
 
-    this.socket.connect(this.network)
+    socket.connect(this.network)
+  }
+
+  _retry () {
+    if (!this.reconnect) return
+    this.attempts++
+    this.meters.reconnects.inc()
+    const delay = this.backoff(this.attempts)
+    if (typeof delay !== 'number') {
+      this.reconnect = false
+      this.emit('giveup', this.attempts - 1)
+      return
+    }
+    this.connect(delay)
+  }
+
+  _startHeartbeat () {
+    if (!this.heartbeat || this.piped) return
+    this._beat()
+    this.heartbeatTimer = setInterval(this._beat.bind(this), this.heartbeat.interval)
+  }
+
+  _stopHeartbeat () {
+    clearInterval(this.heartbeatTimer)
+  }
+
+  async _beat () {
+    // engine is alive if it answers, and it's the same engine if runid is the same
+    const socket = this.socket
+    const expired = {}
+    let timer
+    const runid = await Promise.race([
+      this.getlocal('engine.runid').catch(() => null),
+      new Promise((resolve) => { timer = setTimeout(resolve, this.heartbeat.timeout, expired) })
+    ])
+    clearTimeout(timer)
+    if (socket !== this.socket || !this.connected) return
+    if (runid === expired) {
+      this.emit('warning', new Error('heartbeat timeout'))
+      socket.destroy()
+      return
+    }
+    if (runid === null) return
+    if (this.runid && runid !== this.runid) {
+      this.emit('restart', runid, this.runid)
+    }
+    this.runid = runid
   }
 
   _start () {
@@ -253,8 +661,14 @@ class Connection extends events.EventEmitter {
     this.connecting = false
     this.reconnecting = false
     this.connected = true
+    this.attempts = 0
+
+    if (!this.piped && this.role) {
+      // %%>connect:<role>[:<id>][:<type>]
+      this._connectRole()
+    }
 
-    const rl = readline.createInterface(this.in_stream)
+    const rl = this.rl = readline.createInterface(this.in_stream)
     rl.on('line', (string) => {
       this._process(string)
     })
@@ -262,9 +676,22 @@ class Connection extends events.EventEmitter {
       this.emit('error', error)
     })
 
-    // resend parameters
+    // resend pending requests and parameters, answers to those sent before disconnect are lost
+    const pending = this.setlocalCallbacks
+    this.setlocalCallbacks = {}
+    for (const name in pending) {
+      pending[name].forEach((request) => {
+        if (request.callback) {
+          this._setlocal(name, request.value, request)
+        }
+      })
+    }
+    // parameter goes after requests, as it is the last value set; timed out request doesn't cover it
     for (const key in this.parameters) {
-      this._setlocal(key, this.parameters[key])
+      const covered = (pending[key] || []).some((request) => request.callback && request.value === this.parameters[key])
+      if (!covered) {
+        this._setlocal(key, this.parameters[key])
+      }
     }
 
     // resubscribe
@@ -275,8 +702,7 @@ class Connection extends events.EventEmitter {
 
     // reinstall watchers
     for (const name in this.watchers) {
-      const callback = this.watchers[name]
-      this._watch(name, callback)
+      this._watch(name)
     }
 
     // send queued messages
@@ -285,11 +711,13 @@ class Connection extends events.EventEmitter {
     })
     this.queue = []
 
+    this._startHeartbeat()
     this.emit('connect')
   }
 
   _process (string) {
     this.emit('raw', '< ' + string)
+    this.meters.received.inc()
     const message = new Message()
     message.parse(string, this.decorate)
     if (message.error) {
@@ -297,78 +725,187 @@ class Connection extends events.EventEmitter {
       return
     }
     if (message._type === 'setlocal') {
-      const callback = this.setlocalCallbacks[message._name]
-      if (typeof callback === 'function') {
-        const err = message._success ? null : new Error(`not processed ${message._type} ${message._name}`)
-        callback(err, message._value)
+      // answers for the same name come in order of requests
+      const queue = this.setlocalCallbacks[message._name]
+      const request = queue && queue.shift()
+      if (queue && !queue.length) {
         delete this.setlocalCallbacks[message._name]
       }
+      if (request) {
+        clearTimeout(request.timer)
+        if (request.callback) {
+          const err = message._success ? null : new Error(`not processed ${message._type} ${message._name}`)
+          request.callback(err, message._value)
+        }
+      }
+    } else if (['install', 'uninstall', 'watch', 'unwatch', 'quit'].includes(message._type)) {
+      if (message._type === 'install' && !message._success && this.subscriptions[message._name]) {
+        delete this.subscriptions[message._name]
+        this.emit('warning', new Error(`not subscribed ${message._name}`))
+      }
+      this._acknowledged(message)
     } else if (message._type === 'notification') {
-      const listener = this.watchers[message._name]
-      if (typeof listener === 'function') {
-        listener(message.params, message._retval)
+      const watcher = this.watchers[message._name]
+      if (watcher) {
+        // listener may unwatch itself
+        const incoming = new IncomingMessage(message, this)
+        watcher.listeners.slice().forEach((listener) => listener(incoming, message._retval))
       }
     } else if (message._type === 'answer') {
       const callback = this.dispatchCallbacks[message._id]
       if (typeof callback === 'function') {
+        const meter = message._processed ? this.meters.answered : this.meters.notProcessed
+        meter.inc({ name: message._name })
         const err = message._processed ? null : new Error('not processed')
         const retval = message._retval ? message._retval.trim() : null
         callback(err, retval, message.params)
-        delete this.dispatchCallbacks[message._id]
       }
     } else {
       const subscription = this.subscriptions[message._name]
       if (!subscription) return
-      switch (message._type) {
-        case 'install':
-          // confirmation for subscription ("install")
-          if (!message._success) {
-            delete this.subscriptions[subscription.name]
-            this.emit('warning', new Error(`not subscribed ${subscription.name}`))
-          }
-          break
-        case 'incoming':
-          if (typeof subscription.listener === 'function') {
-            try {
-              // note: any existing retval also passed to listener
-              message._retval = subscription.listener(message.params, message._retval)
-              message._processed = true
-            } catch {
-              // todo debug
-            }
-            this._acknowledge(message)
-          }
-          break
+      if (message._type === 'incoming') {
+        this.meters.incoming.inc({ name: message._name })
+        this._handle(subscription, message)
       }
     }
   }
 
+  async _handle (subscription, message) {
+    this.handling++
+    // answer must reach Yate before its own timeout expires, otherwise message is lost
+    const timeout = Math.max((this.parameters.timeout || DISPATCH_TIMEOUT) - ACKNOWLEDGE_MARGIN, 0)
+    const timer = setTimeout(() => {
+      this.emit('exception', new Error(`listener of '${message._name}' timed out`), message.params)
+      this._acknowledge(message)
+    }, timeout)
+    const observe = this.meters.handlerDuration.startTimer({ name: message._name })
+    try {
+      // note: any existing retval also passed to listeners
+      // listeners change parameters of the message itself, acknowledgement sends them as they are left
+      const { processed, retval } = await chain(subscription.listeners, new IncomingMessage(message, this), message._retval)
+      message._processed = processed
+      message._retval = retval
+    } catch (error) {
+      this.emit('exception', error, message.params)
+    } finally {
+      observe()
+      clearTimeout(timer)
+      this._acknowledge(message)
+      this.handling--
+      this._checkDrained()
+    }
+  }
+
   _acknowledge (message) {
     // %%<message:<id>:<processed>:[<name>]:<retvalue>[:<key>=<value>...]
     if (message._type !== 'incoming') return
+    let params
+    try {
+      params = message.stringify(true, this.decorate)
+    } catch (error) {
+      // listener left parameter that can't be sent, Yate still needs an answer and keeps its own parameters
+      this.emit('exception', error, message.params)
+      message._processed = false
+      params = ''
+    }
     const string = '%%<message:' + escape(message._id) +
       ':' + Bool2str(message._processed) +
       '::' + escape(message._retval) +
-      message.stringify(true, this.decorate)
+      params
     this._send(string)
     message._type = 'acknowledged'
+    this.meters.acknowledged.inc({ name: message._name, processed: Bool2str(message._processed) })
   }
 
   _dispatch (message) {
     // %%>message:<id>:<time>:<name>:<retvalue>[:<key>=<value>...]
     if (message._type !== 'outgoing') return
+    let params
+    try {
+      params = message.stringify(false, this.decorate)
+    } catch (error) {
+      // message that can't be sent fails alone, queue goes on
+      message._type = 'failed'
+      clearTimeout(message._expiry)
+      const reply = this.dispatchCallbacks[message._id]
+      if (reply) reply(error)
+      else this.emit('warning', error)
+      return
+    }
     const string = '%%>message:' + escape(message._id) +
       ':' + message._origin +
       ':' + escape(message._name) +
-      ':' + message.stringify(false, this.decorate)
+      ':' + params
     this._send(string)
     message._type = 'enqueued'
+    this.meters.dispatched.inc({ name: message._name })
+    // answer is awaited from the moment message is written, not while it waits in queue
+    clearTimeout(message._expiry)
+    const timeout = message._timeout || this.dispatchTimeout
+    if (message._id && timeout !== Infinity) {
+      message._timer = setTimeout(() => {
+        const reply = this.dispatchCallbacks[message._id]
+        if (reply) {
+          this.meters.timedOut.inc({ name: message._name })
+          reply(new Error('timeout'))
+        }
+      }, timeout)
+    }
+  }
+
+  _enqueue (message, ttl) {
+    // offline queue, flushed on connect
+    if (this.queue.length >= this.maxQueue) {
+      const dropped = this.overflow === 'drop-oldest' && this.queue.length ? this.queue[0] : message
+      this._drop(dropped, 'dropped')
+      if (dropped === message) return
+    }
+    this.queue.push(message)
+    this.counters.queued++
+    this.emit('queued', message)
+    if (ttl && ttl !== Infinity && !message._expiry) {
+      // connection of the message may change by handover
+      message._expiry = setTimeout(() => message._connection._drop(message, 'expired'), ttl)
+    }
+  }
+
+  _unqueue (message) {
+    const index = this.queue.indexOf(message)
+    if (index === -1) return false
+    this.queue.splice(index, 1)
+    return true
+  }
+
+  _drop (message, reason) {
+    // reason is 'dropped' or 'expired', it's also the event name and the error message
+    this._unqueue(message)
+    this.counters[reason]++
+    this.emit(reason, message)
+    const reply = this.dispatchCallbacks[message._id]
+    if (reply) reply(new Error(reason))
+  }
+
+  _handover (message, target) {
+    // pass queued message to other connection along with its answer callback
+    if (!target.connected && target.queue.length >= target.maxQueue) return
+    if (!this._unqueue(message)) return
+    const reply = this.dispatchCallbacks[message._id]
+    if (reply) {
+      delete this.dispatchCallbacks[message._id]
+      target.dispatchCallbacks[message._id] = reply
+    }
+    message._connection = target
+    if (target.connected) {
+      target._dispatch(message)
+    } else {
+      target._enqueue(message)
+    }
   }
 
   _install (name, priority, filter, filterval) {
     // %%>install:[<priority>]:<name>[:<filter-name>[:<filter-value>]]
     if (filter && filterval) {
-      this._send('%%>install:' + priority + ':' + escape(name) + ':' + filter + ':' + filterval)
+      this._send('%%>install:' + priority + ':' + escape(name) + ':' + escape(filter) + ':' + escape(filterval))
     } else {
       this._send('%%>install:' + priority + ':' + escape(name))
     }
@@ -376,17 +913,52 @@ class Connection extends events.EventEmitter {
 
   _uninstall (name) {
     // %%>uninstall:<name>
-    this._send('%%>uninstall:' + name)
+    this._send('%%>uninstall:' + escape(name))
   }
 
   _watch (name) {
     // %%>watch:<name>
-    this._send('%%>watch:' + name)
+    this._send('%%>watch:' + escape(name))
   }
 
   _unwatch (name) {
     // %%>unwatch:<name>
-    this._send('%%>unwatch:' + name)
+    this._send('%%>unwatch:' + escape(name))
+  }
+
+  _connectRole () {
+    // %%>connect:<role>[:<id>][:<type>]
+    let string = '%%>connect:' + this.role
+    if (this.channel || this.type) {
+      string += ':' + escape(this.channel || '')
+    }
+    if (this.type) {
+      string += ':' + escape(this.type)
+    }
+    this._send(string)
+  }
+
+  _expect (type, name, callback) {
+    // acknowledgements of the same type and name come in order of requests
+    const key = type + ':' + name
+    return settle(callback, (done) => {
+      if (!this.acknowledgements[key]) {
+        this.acknowledgements[key] = []
+      }
+      this.acknowledgements[key].push(done)
+    })
+  }
+
+  _acknowledged (message) {
+    const key = message._type + ':' + message._name
+    const queue = this.acknowledgements[key]
+    const done = queue && queue.shift()
+    if (queue && !queue.length) {
+      delete this.acknowledgements[key]
+    }
+    if (done) {
+      done(message._success ? null : new Error(`not processed ${message._type} ${message._name}`), message._success)
+    }
   }
 
   _output (string) {
@@ -396,13 +968,56 @@ class Connection extends events.EventEmitter {
     })
   }
 
-  _setlocal (name, value) {
+  _setlocal (name, value, request) {
     // %%>setlocal:<name>:<value>
+    this._pushSetlocal(name, request || { value })
     this._send('%%>setlocal:' + name + ':' + value)
   }
 
+  _pushSetlocal (name, request) {
+    if (!this.setlocalCallbacks[name]) {
+      this.setlocalCallbacks[name] = []
+    }
+    this.setlocalCallbacks[name].push(request)
+  }
+
+  async _loadSection (section) {
+    // config.<section> gives comma separated list of keys
+    const list = await this.getlocal('config.' + section)
+    const keys = list.split(',').filter(Boolean)
+    const values = await Promise.all(keys.map((key) => this.getconfig(section, key)))
+    const result = {}
+    keys.forEach((key, index) => {
+      result[key] = values[index]
+    })
+    return result
+  }
+
+  _checkDrained () {
+    if (this.drained && !this.handling && !Object.keys(this.dispatchCallbacks).length) {
+      this.drained()
+    }
+  }
+
+  _hijackConsole () {
+    // original methods are kept for close()
+    this.consoleMethods = {}
+    const write = (...args) => process.stderr.write(util.format(...args) + '\n')
+    CONSOLE_METHODS.forEach((method) => {
+      this.consoleMethods[method] = console[method]
+      console[method] = this.console === 'stderr' ? write : () => {}
+    })
+  }
+
+  _restoreConsole () {
+    if (!this.consoleMethods) return
+    Object.assign(console, this.consoleMethods)
+    this.consoleMethods = null
+  }
+
   _send (string) {
     this.emit('raw', '> ' + string)
+    this.meters.sent.inc()
     if (this.out_stream) {
       this.out_stream.write(string + '\n')
     }
@@ -413,7 +1028,7 @@ class Message {
   constructor (name, params) {
     this._name = name
     this._origin = Math.floor(Date.now() / 1000).toString()
-    this._id = this._origin + process.hrtime()[1]
+    this._id = this._origin + '.' + (++sequence)
     this._type = 'outgoing'
     this._processed = false
     this.params = params || {}
@@ -425,48 +1040,62 @@ class Message {
       case '%%>message':
         // %%>message:<id>:<time>:<name>:<retvalue>[:<key>=<value>...]
         this._type = 'incoming'
-        this._id = dataArray[1]
+        this._id = unescape(dataArray[1])
         this._origin = dataArray[2]
-        this._name = dataArray[3]
+        this._name = unescape(dataArray[3])
         this._retval = unescape(dataArray[4])
         break
       case '%%<message':
         // %%<message:<id>:<processed>:[<name>]:<retvalue>[:<key>=<value>...]
-        this._id = dataArray[1]
+        this._id = unescape(dataArray[1])
         this._type = this._id ? 'answer' : 'notification'
         this._processed = Str2bool(dataArray[2])
-        this._name = dataArray[3]
+        this._name = unescape(dataArray[3])
         this._retval = unescape(dataArray[4])
         break
       case '%%<install':
         // %%<install:<priority>:<name>:<success>
         this._type = 'install'
         this._priority = dataArray[1]
-        this._name = dataArray[2]
+        this._name = unescape(dataArray[2])
         this._success = Str2bool(dataArray[3])
         break
       case '%%<uninstall':
         // %%<uninstall:<priority>:<name>:<success>
         this._type = 'uninstall'
         this._priority = dataArray[1]
-        this._name = dataArray[2]
-        this._success = dataArray[3]
+        this._name = unescape(dataArray[2])
+        this._success = Str2bool(dataArray[3])
         break
       case '%%<watch':
         // %%<watch:<name>:<success>
         this._type = 'watch'
-        this._name = dataArray[1]
+        this._name = unescape(dataArray[1])
+        this._success = Str2bool(dataArray[2])
+        break
+      case '%%<unwatch':
+        // %%<unwatch:<name>:<success>
+        this._type = 'unwatch'
+        this._name = unescape(dataArray[1])
         this._success = Str2bool(dataArray[2])
         break
       case '%%<setlocal':
         // %%<setlocal:<name>:<value>:<success>
         this._type = 'setlocal'
-        this._name = dataArray[1]
-        this._value = dataArray[2]
+        this._name = unescape(dataArray[1])
+        this._value = unescape(dataArray[2])
         this._success = Str2bool(dataArray[3])
         break
+      case '%%<quit':
+      case '%%>quit':
+        // %%<quit
+        this._type = 'quit'
+        this._name = ''
+        this._success = true
+        break
       case 'Error in':
-        this.error = 'string'
+        // Error in: <original line>
+        this.error = string
         return
       default:
         this.error = `Unknown command from server: [${string}]`
@@ -476,35 +1105,280 @@ class Message {
       dataArray.slice(5).forEach((item) => {
         const pos = item.indexOf('=')
         if (pos > 0) {
-          const key = item.substr(0, pos)
-          if (!(key in Message.prototype)) {
-            this.params[unescape(key)] = unescape(item.substr(pos + 1))
+          const key = unescape(item.substr(0, pos))
+          // params is a plain object, don't let it touch the prototype
+          if (key !== '__proto__') {
+            this.params[key] = unescape(item.substr(pos + 1))
           }
         }
       })
-      if (decorate) {
-        this.params = beautify(this.params)
+      const options = decoration(decorate, this._name)
+      if (options) {
+        this.params = beautify(this.params, options)
       }
     }
   }
 
   stringify (includeEmpty, decorate) {
-    if (decorate) {
-      this.params = yatefy(this.params)
+    const options = decoration(decorate, this._name)
+    if (options) {
+      this.params = yatefy(this.params, options)
     }
     let result = ''
     for (const key in this.params) {
+      if (this.params[key] === null || this.params[key] === undefined) {
+        throw new Error(`parameter ${key} of ${this._name} has no value`)
+      }
       const value = this.params[key].toString()
       if (value) {
-        result += ':' + escape(key) + '=' + escape(value)
+        result += ':' + escape(key, '=') + '=' + escape(value)
       } else if (includeEmpty) {
-        result += ':' + escape(key)
+        result += ':' + escape(key, '=')
       }
     }
     return result
   }
 }
 
+// internal state of IncomingMessage, symbols can't collide with parameter names
+const MESSAGE = Symbol('message')
+const CONNECTION = Symbol('connection')
+
+// parameters are read and written as properties of IncomingMessage, but methods and params always win,
+// so that parameter like 'get' or 'name' doesn't break listener; such parameter is reachable with get() or params
+const PARAMETERS = {
+  get (target, key, receiver) {
+    if (typeof key === 'symbol' || key in target) return Reflect.get(target, key, receiver)
+    return target[MESSAGE].params[key]
+  },
+  set (target, key, value, receiver) {
+    if (typeof key === 'symbol') return Reflect.set(target, key, value, receiver)
+    target[MESSAGE].params[key] = value
+    return true
+  },
+  has (target, key) {
+    if (typeof key === 'symbol') return Reflect.has(target, key)
+    return hasOwn(target[MESSAGE].params, key) || key in target
+  },
+  deleteProperty (target, key) {
+    if (typeof key === 'symbol') return Reflect.deleteProperty(target, key)
+    return delete target[MESSAGE].params[key]
+  },
+  ownKeys (target) {
+    return Reflect.ownKeys(target[MESSAGE].params)
+  },
+  getOwnPropertyDescriptor (target, key) {
+    if (typeof key === 'symbol') return undefined
+    return Reflect.getOwnPropertyDescriptor(target[MESSAGE].params, key)
+  },
+  defineProperty (target, key, descriptor) {
+    if (typeof key === 'symbol') return Reflect.defineProperty(target, key, descriptor)
+    return Reflect.defineProperty(target[MESSAGE].params, key, descriptor)
+  }
+}
+
+class IncomingMessage {
+  // what listeners get: parameters as properties, like before, and methods to reach the rest of the message
+  // (named after Yate's JavaScript API)
+  constructor (message, connection) {
+    this[MESSAGE] = message
+    this[CONNECTION] = connection
+    return new Proxy(this, PARAMETERS)
+  }
+
+  get params () {
+    // parameters themselves, changes are sent to Yate with the answer
+    return this[MESSAGE].params
+  }
+
+  name () {
+    return this[MESSAGE]._name
+  }
+
+  msgId () {
+    return this[MESSAGE]._id
+  }
+
+  msgTime () {
+    // seconds since epoch, when message was created by Yate
+    return parseInt(this[MESSAGE]._origin) || 0
+  }
+
+  processed () {
+    return this[MESSAGE]._processed
+  }
+
+  retValue () {
+    return this[MESSAGE]._retval
+  }
+
+  get (key, defaultValue) {
+    const value = lookupParam(this.params, key)
+    return value === undefined ? defaultValue : value
+  }
+
+  getInt (key, defaultValue) {
+    const value = parseInt(this.get(key))
+    return isNaN(value) ? defaultValue : value
+  }
+
+  getBool (key, defaultValue) {
+    const value = this.get(key)
+    if (typeof value === 'boolean') return value
+    if (TRUE_VALUES.includes(value)) return true
+    if (FALSE_VALUES.includes(value)) return false
+    return defaultValue
+  }
+
+  copyParams (prefix, skipPrefix) {
+    // parameters starting with prefix, which is cut off unless skipPrefix is false
+    const params = this.params
+    const result = {}
+    for (const key of Object.keys(params)) {
+      if (key.startsWith(prefix)) {
+        result[skipPrefix === false ? key : key.substr(prefix.length)] = params[key]
+      }
+    }
+    return result
+  }
+
+  clearParam (key) {
+    // removes also dotted children, like key.1 or key.name
+    const params = this.params
+    for (const name of Object.keys(params)) {
+      if (name === key || name.startsWith(key + '.')) {
+        delete params[name]
+      }
+    }
+  }
+
+  reply (answer) {
+    // acknowledges message right away, result of listeners chain is ignored then
+    const message = this[MESSAGE]
+    if (message._type !== 'incoming') {
+      throw new Error('only subscribed message can be replied')
+    }
+    const { processed = true, retval, params } = answer || {}
+    Object.assign(this.params, params)
+    message._processed = processed
+    if (retval !== undefined) {
+      message._retval = retval
+    }
+    this[CONNECTION]._acknowledge(message)
+  }
+
+  copy () {
+    // new message with the same name and parameters, which may be changed and dispatched
+    const message = new Message(this[MESSAGE]._name, Object.assign({}, this.params))
+    message._retval = this[MESSAGE]._retval
+    return new IncomingMessage(message, this[CONNECTION])
+  }
+
+  dispatch (options, callback) {
+    // dispatches copy of message, see Connection.dispatch()
+    return this[CONNECTION].dispatch(this[MESSAGE]._name, Object.assign({}, this.params), options, callback)
+  }
+}
+
+function withTimeout (promise, timeout) {
+  // resolves when promise settles or time is out, whichever is first
+  let timer
+  return Promise.race([
+    promise,
+    new Promise((resolve) => { timer = setTimeout(resolve, timeout) })
+  ]).finally(() => clearTimeout(timer))
+}
+
+function chain (listeners, params, retval) {
+  // koa-like middleware: listener(params, retval, next), where next() runs the rest of the chain
+  // and resolves to its result; listener which doesn't call next() finalizes the message
+  const step = async (index) => {
+    const listener = listeners[index]
+    if (!listener) {
+      // nobody finalized the message
+      return { processed: false, retval }
+    }
+    let downstream = null
+    const next = () => {
+      if (!downstream) {
+        downstream = step(index + 1)
+      }
+      return downstream
+    }
+    const result = await listener(params, retval, next)
+    if (result === undefined) {
+      return downstream || { processed: true, retval }
+    }
+    if (result !== null && typeof result === 'object') {
+      return {
+        processed: result.processed !== false,
+        retval: result.retval !== undefined ? result.retval : retval
+      }
+    }
+    return { processed: true, retval: result }
+  }
+  return step(0)
+}
+
+function meters (connection) {
+  const registry = connection.metrics
+  return {
+    sent: registry.counter('yate_lines_sent_total', 'Protocol lines sent to Yate'),
+    received: registry.counter('yate_lines_received_total', 'Protocol lines received from Yate'),
+    dispatched: registry.counter('yate_messages_dispatched_total', 'Messages sent to Yate', ['name']),
+    answered: registry.counter('yate_messages_answered_total', 'Dispatched messages processed by Yate', ['name']),
+    notProcessed: registry.counter('yate_messages_not_processed_total', 'Dispatched messages not processed by Yate', ['name']),
+    timedOut: registry.counter('yate_messages_timed_out_total', 'Dispatched messages not answered in time', ['name']),
+    incoming: registry.counter('yate_messages_received_total', 'Messages received from Yate by subscriptions', ['name']),
+    acknowledged: registry.counter('yate_messages_acknowledged_total', 'Messages returned to Yate', ['name', 'processed']),
+    handlerDuration: registry.histogram('yate_handler_duration_seconds', 'Time spent in subscription listeners', ['name']),
+    reconnects: registry.counter('yate_reconnects_total', 'Attempts to reconnect'),
+    queue: registry.counter('yate_queue_messages_total', 'Messages queued while disconnected, by outcome', ['outcome'], (metric) => {
+      for (const outcome in connection.counters) {
+        metric.set({ outcome }, connection.counters[outcome])
+      }
+    }),
+    queueLength: registry.gauge('yate_queue_length', 'Messages waiting for connection', [], (metric) => {
+      metric.set({}, connection.queue.length)
+    }),
+    pending: registry.gauge('yate_pending_dispatches', 'Dispatched messages waiting for answer', [], (metric) => {
+      metric.set({}, Object.keys(connection.dispatchCallbacks).length)
+    }),
+    connected: registry.gauge('yate_connected', 'Connection state, 1 if connected', [], (metric) => {
+      metric.set({}, connection.connected ? 1 : 0)
+    })
+  }
+}
+
+function exponentialBackoff ({ initial = 500, factor = 2, max = 30000, jitter = 0, attempts = Infinity }) {
+  // delay before given attempt, or null to give up
+  return function (attempt) {
+    if (attempt > attempts) return null
+    const delay = Math.min(initial * Math.pow(factor, attempt - 1), max)
+    return Math.round(delay * (1 - jitter * Math.random()))
+  }
+}
+
+function settle (callback, executor) {
+  // callback style if callback given, otherwise return a promise
+  if (typeof callback === 'function') {
+    executor(callback)
+    return
+  }
+  const promise = new Promise((resolve, reject) => {
+    executor((err, value) => err ? reject(err) : resolve(value))
+  })
+  // caller is not obliged to await, don't crash on unhandled rejection
+  promise.catch(() => {})
+  return promise
+}
+
+function abortError () {
+  const error = new Error('aborted')
+  error.name = 'AbortError'
+  return error
+}
+
 function escape (str, extra) {
   if (str === null) { return '' }
   if (str === undefined) { return 'undefined' }
@@ -526,6 +1400,7 @@ function escape (str, extra) {
 }
 
 function unescape (str) {
+  if (str === undefined) { return '' }
   let res = ''
   for (let idx = 0; idx < str.length; idx++) {
     let chr = str.charAt(idx)
@@ -547,78 +1422,227 @@ function Str2bool (str) {
   return (str === 'true')
 }
 
-function yatefy (object, rootkey) {
+// as in Yate's String::toBoolean()
+const TRUE_VALUES = ['true', 'yes', 'on', 'enable', 't']
+const FALSE_VALUES = ['false', 'no', 'off', 'disable', 'f']
+
+function lookupParam (params, key) {
+  // key is flat or dotted path through decorated objects
+  let value = hasOwn(params, key) ? params[key] : undefined
+  if (value === undefined && key.includes('.')) {
+    value = params
+    for (const segment of key.split('.')) {
+      if (!isContainer(value) || !hasOwn(value, segment)) return undefined
+      value = value[segment]
+    }
+  }
+  // root of decorated object
+  return isContainer(value) && hasOwn(value, 'value') ? value.value : value
+}
+
+const DECORATION = {
+  nested: true,
+  booleans: true,
+  hex: true,
+  lists: false
+}
+
+const HEX_DATA = /^[0-9a-f]{2}( [0-9a-f]{2})+$/
+// digits in pairs are more likely numbers than data
+const DIGITS = /^[0-9 ]+$/
+
+// how list count was given: in 'count' subkey, as root value or not at all
+const LIST_COUNT = Symbol('count')
+
+function decoration (decorate, name) {
+  // settings for this message name, or null if decoration is disabled
+  if (!decorate) return null
+  const options = Object.assign({}, DECORATION, decorate === true ? {} : decorate)
+  const override = options.messages && options.messages[name]
+  if (override === false) return null
+  if (override) {
+    Object.assign(options, override, { codecs: Object.assign({}, options.codecs, override.codecs) })
+  }
+  return options
+}
+
+function permitted (setting, key) {
+  // setting is boolean or { allow, deny } lists of keys and regexps
+  if (!setting) return false
+  if (setting === true) return true
+  const match = (list) => Array.isArray(list) &&
+    list.some((item) => item instanceof RegExp ? item.test(key) : item === key)
+  if (match(setting.deny)) return false
+  return setting.allow ? match(setting.allow) : true
+}
+
+function isContainer (value, opaque) {
+  return typeof value === 'object' && value !== null && !Buffer.isBuffer(value) && !Array.isArray(value) &&
+    !(opaque && opaque.has(value))
+}
+
+function yatefy (object, options, prefix) {
+  options = options || DECORATION
+  const codecs = options.codecs || {}
   const result = {}
-  const prefix = rootkey ? rootkey + '.' : ''
 
   for (const key in object) {
-    let value = object[key]
-
-    if (Buffer.isBuffer(value)) {
-      value = hexlify(value)
+    const value = object[key]
+    let name = key
+    if (prefix !== undefined) {
+      name = key === 'value' ? prefix : prefix + '.' + key
     }
 
-    if (typeof value === 'object' && value !== null) {
-      const subobject = yatefy(value, key)
-      for (const subkey in subobject) {
-        result[prefix + subkey] = subobject[subkey]
-      }
+    if (hasOwn(codecs, name)) {
+      result[name] = codecs[name].encode(value, name)
+    } else if (Buffer.isBuffer(value)) {
+      result[name] = hexlify(value)
+    } else if (Array.isArray(value)) {
+      Object.assign(result, yatefy(listItems(value), options, name))
+    } else if (isContainer(value)) {
+      Object.assign(result, yatefy(value, options, name))
+    } else if (typeof value === 'boolean') {
+      result[name] = value.toString()
     } else {
-      if (key === 'value') {
-        result[rootkey] = value
-      } else {
-        result[prefix + key] = value
-      }
+      result[name] = value
     }
   }
   return result
 }
 
+function listItems (list) {
+  const items = {}
+  list.forEach((item, index) => {
+    items[index + 1] = item
+  })
+  if (list[LIST_COUNT] === 'value') {
+    items.value = list.length.toString()
+  } else if (list[LIST_COUNT] !== null) {
+    items.count = list.length.toString()
+  }
+  return items
+}
+
+function parseStatus (text) {
+  // name=sip,type=varchans,format=Status|Address;routed=0,total=1;sip/1=answered|10.0.0.1:5060,...
+  // one line per module
+  return (text || '').split(/\r?\n/).filter((line) => line.trim()).map((line) => {
+    const first = line.indexOf(';')
+    const second = first === -1 ? -1 : line.indexOf(';', first + 1)
+    const header = statusPairs(first === -1 ? line : line.substring(0, first))
+    const summary = statusPairs(first === -1 ? '' : line.substring(first + 1, second === -1 ? undefined : second))
+    const format = header.format ? header.format.split('|') : null
+    const details = Object.entries(statusPairs(second === -1 ? '' : line.substr(second + 1))).map(([id, value]) => {
+      if (!format) return { id, value }
+      const row = { id }
+      const columns = value.split('|')
+      format.forEach((column, i) => {
+        row[column] = columns[i] === undefined ? '' : columns[i]
+      })
+      return row
+    })
+    return { name: header.name, type: header.type, format, header, summary, details }
+  })
+}
+
+function statusPairs (string) {
+  const result = {}
+  string.split(',').forEach((pair) => {
+    if (!pair) return
+    const pos = pair.indexOf('=')
+    if (pos === -1) {
+      result[pair] = ''
+    } else {
+      result[pair.substr(0, pos)] = pair.substr(pos + 1)
+    }
+  })
+  return result
+}
+
 function hexlify (byteArray, joiner = ' ') {
   return Array.from(byteArray, function (byte) {
     return ('0' + (byte & 0xFF).toString(16)).slice(-2)
   }).join(joiner)
 }
 
-function beautify (object) {
+function beautify (object, options) {
+  options = options || DECORATION
+  const codecs = options.codecs || {}
+  const opaque = new Set()
   const result = {}
   for (const key in object) {
     let value = object[key]
 
-    if (value === 'false') {
-      value = false
-    } else if (value === 'true') {
-      value = true
-    } else if (value.length > 4 && value.match(/[0-9a-f]{2}( [0-9a-f]{2})+/g)) {
+    if (hasOwn(codecs, key)) {
+      value = codecs[key].decode(value, key)
+      opaque.add(value)
+    } else if (value === 'false' || value === 'true') {
+      if (permitted(options.booleans, key)) {
+        value = value === 'true'
+      }
+    } else if (HEX_DATA.test(value) && !DIGITS.test(value) && permitted(options.hex, key)) {
       value = unhexlify(value)
     }
 
-    if (key.indexOf('.')) {
-      key.split('.').reduce((object, key, index, arr) => {
-        if (index === arr.length - 1) {
-          if (typeof object === 'object' && key in object) {
-            object[key].value = value
-          } else {
-            object[key] = value
-          }
-        } else {
-          if (typeof object === 'object' && key in object) {
-            if (typeof object[key] !== 'object') {
-              object[key] = { [key]: object[key] }
-            }
-          } else {
-            object[key] = {}
-          }
+    // keys that would be ambiguous when nested stay flat, so that yatefy() restores them
+    const path = key.split('.')
+    const ambiguous = path.some((segment, index) => segment === '' || segment === 'value' ||
+      (index && hasOwn(codecs, path.slice(0, index).join('.'))))
+    if (options.nested && !ambiguous) {
+      const target = path.slice(0, -1).reduce((object, segment) => {
+        if (!hasOwn(object, segment)) {
+          object[segment] = {}
+        } else if (!isContainer(object[segment], opaque)) {
+          object[segment] = { value: object[segment] }
         }
-        return object[key]
+        return object[segment]
       }, result)
+      const last = path[path.length - 1]
+      if (hasOwn(target, last)) {
+        // there are nested keys already
+        target[last].value = value
+      } else {
+        target[last] = value
+      }
     } else {
       result[key] = value
     }
   }
+  if (options.lists) {
+    for (const key in result) {
+      result[key] = toList(result[key], opaque)
+    }
+  }
   return result
 }
 
+function toList (object, opaque) {
+  // { 1: a, 2: b, count: 2 } to [a, b]
+  if (!isContainer(object, opaque)) return object
+  for (const key in object) {
+    object[key] = toList(object[key], opaque)
+  }
+  const keys = Object.keys(object).filter((key) => key !== 'count' && key !== 'value')
+  if (!keys.length || !keys.every((key) => /^[1-9]\d*$/.test(key) && key <= keys.length)) return object
+  const length = keys.length.toString()
+  let count = null
+  if (hasOwn(object, 'count') && hasOwn(object, 'value')) return object
+  if (hasOwn(object, 'count')) {
+    if (object.count !== length) return object
+    count = 'count'
+  } else if (hasOwn(object, 'value')) {
+    if (object.value !== length) return object
+    count = 'value'
+  }
+  const list = keys.map((key, index) => object[index + 1])
+  Object.defineProperty(list, LIST_COUNT, { value: count })
+  return list
+}
+
+function hasOwn (object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key)
+}
+
 function unhexlify (str) {
   return Buffer.from(str.replace(/ /g, ''), 'hex')
 }
@@ -659,6 +1683,10 @@ const ENGINE_PARAMETERS = {
 }
 
 function validateLocalValue (key, value) {
+  if (value === '' && LOCAL_PARAMETERS[key]) {
+    // query of current value
+    return
+  }
   if (!value) {
     const matchEngineParams = key.match(/^engine\.(.*)/)
     if (matchEngineParams) {
@@ -692,5 +1720,29 @@ function connect (options, connectListener) {
 module.exports = {
   connect,
   Connection,
-  Message
+  Message,
+  IncomingMessage,
+  Registry,
+  escape,
+  unescape,
+  yatefy,
+  beautify,
+  parseStatus,
+  LOCAL_PARAMETERS,
+  ENGINE_PARAMETERS
 }
+
+// parts built on top of Connection, some of them require this module, so they go after exports are set
+module.exports.MockEngine = require('./lib/mock').MockEngine
+module.exports.Calls = require('./lib/call').Calls
+module.exports.Call = require('./lib/call').Call
+module.exports.Cluster = require('./lib/cluster').Cluster
+module.exports.Recorder = require('./lib/recorder').Recorder
+module.exports.Replay = require('./lib/recorder').Replay
+module.exports.parseRecording = require('./lib/recorder').parseRecording
+module.exports.CdrCollector = require('./lib/cdr').CdrCollector
+module.exports.JsonSink = require('./lib/cdr').JsonSink
+module.exports.CsvSink = require('./lib/cdr').CsvSink
+module.exports.Router = require('./lib/router').Router
+module.exports.Registrar = require('./lib/registrar').Registrar
+module.exports.Gateway = require('./lib/gateway').Gateway
@@ -0,0 +1,89 @@
+/*
+
+ Audio streams of channel-role piped mode
+
+ Yate gives signed linear audio on file descriptor 3 and takes it on file descriptor 4.
+ See https://docs.yate.ro/wiki/External_Module
+ */
+
+const fs = require('fs')
+const stream = require('stream')
+
+// 20 ms of slin, 8000 Hz, 16 bit
+const FRAME_SIZE = 320
+const FRAME_INTERVAL = 20
+
+class AudioOutput extends stream.Writable {
+  constructor (destination, options) {
+    options = options || {}
+    super({ highWaterMark: options.highWaterMark })
+    this.destination = destination
+    this.frameSize = options.frameSize || FRAME_SIZE
+    this.interval = options.interval || FRAME_INTERVAL
+    this.buffer = Buffer.alloc(0)
+    this.next = 0
+    this.timer = null
+    destination.on('error', (error) => this.destroy(error))
+  }
+
+  _write (chunk, encoding, callback) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk
+    this._pace(callback)
+  }
+
+  _final (callback) {
+    // last incomplete frame is padded with silence
+    if (this.buffer.length) {
+      this.buffer = Buffer.concat([this.buffer, Buffer.alloc(this.frameSize - this.buffer.length)])
+    }
+    this._pace(() => {
+      this.destination.end()
+      callback()
+    })
+  }
+
+  _destroy (error, callback) {
+    clearTimeout(this.timer)
+    callback(error)
+  }
+
+  _pace (callback) {
+    // frames go out on schedule rather than on timer ticks, so that timer lag doesn't accumulate
+    while (this.buffer.length >= this.frameSize) {
+      const now = Date.now()
+      if (this.next < now - this.interval) {
+        // underrun, start over instead of sending burst
+        this.next = now
+      }
+      if (this.next > now) {
+        this.timer = setTimeout(() => this._pace(callback), this.next - now)
+        return
+      }
+      this.destination.write(this.buffer.subarray(0, this.frameSize))
+      this.buffer = this.buffer.subarray(this.frameSize)
+      this.next += this.interval
+    }
+    callback()
+  }
+}
+
+function openAudio (audio) {
+  // audio is true or { input, output, frameSize, interval }, where input and output are booleans or streams
+  const settings = audio === true ? {} : audio
+  const { input = true, output = true } = settings
+  const result = {}
+  if (input) {
+    result.input = input === true ? fs.createReadStream(null, { fd: 3 }) : input
+  }
+  if (output) {
+    result.output = new AudioOutput(output === true ? fs.createWriteStream(null, { fd: 4 }) : output, settings)
+  }
+  return result
+}
+
+module.exports = {
+  AudioOutput,
+  openAudio,
+  FRAME_SIZE,
+  FRAME_INTERVAL
+}
@@ -0,0 +1,213 @@
+/*
+
+ Call control on top of Connection, calls are tracked by channel id
+
+ See https://docs.yate.ro/wiki/Standard_Messages
+ */
+
+const events = require('events')
+
+const DIGITS_TIMEOUT = 5000
+
+class Calls extends events.EventEmitter {
+  constructor (connection) {
+    super()
+    this.connection = connection
+    this.calls = {}
+    this.notifications = {}
+    this.counter = 0
+
+    this.watchers = {
+      'chan.dtmf': (params) => {
+        const call = this.calls[params.id]
+        if (call) {
+          call._dtmf(params)
+        }
+      },
+      'chan.notify': (params) => {
+        const pending = this.notifications[params.targetid]
+        if (pending) {
+          delete this.notifications[params.targetid]
+          pending.resolve(params)
+        }
+        const call = this.calls[params.targetid] || (pending && pending.call)
+        if (call) {
+          call.emit('notify', params)
+        }
+      },
+      'chan.hangup': (params) => {
+        const call = this.calls[params.id]
+        if (call) {
+          this._remove(call, params)
+        }
+      }
+    }
+    for (const name in this.watchers) {
+      connection.watch(name, this.watchers[name])
+    }
+  }
+
+  get (id, params) {
+    // track channel, params are those of call.route or call.execute, if known
+    if (!((typeof id === 'string') && id)) {
+      throw new Error('channel id required')
+    }
+    let call = this.calls[id]
+    if (!call) {
+      call = this.calls[id] = new Call(this, id, params)
+      this.emit('call', call)
+    }
+    return call
+  }
+
+  close () {
+    for (const name in this.watchers) {
+      this.connection.unwatch(name, this.watchers[name])
+    }
+    for (const id in this.calls) {
+      this._remove(this.calls[id], { id, reason: 'closed' })
+    }
+  }
+
+  _notification (call) {
+    // chan.notify comes with targetid equal to notify parameter of chan.attach
+    const token = call.id + '/' + (++this.counter)
+    const finished = new Promise((resolve, reject) => {
+      this.notifications[token] = { call, resolve, reject }
+    })
+    finished.catch(() => {})
+    return { token, finished }
+  }
+
+  _remove (call, params) {
+    delete this.calls[call.id]
+    for (const token in this.notifications) {
+      if (this.notifications[token].call === call) {
+        this.notifications[token].reject(new Error('hangup'))
+        delete this.notifications[token]
+      }
+    }
+    call.ended = true
+    call.emit('hangup', params)
+    this.emit('hangup', call, params)
+  }
+}
+
+class Call extends events.EventEmitter {
+  constructor (calls, id, params) {
+    super()
+    this.calls = calls
+    this.connection = calls.connection
+    this.id = id
+    this.params = params || {}
+    this.digits = ''
+    this.ended = false
+  }
+
+  answer () {
+    return this._dispatch('call.answered', { targetid: this.id })
+  }
+
+  hangup (reason) {
+    return this._dispatch('call.drop', { id: this.id, reason: reason || '' })
+  }
+
+  async play (file) {
+    const { token, finished } = this.calls._notification(this)
+    await this._masquerade('chan.attach', { source: 'wave/play/' + file, notify: token })
+    await finished
+  }
+
+  async record (file, maxlen) {
+    // maxlen is in bytes, recording goes on until maxlen or hangup if not given
+    const { token, finished } = this.calls._notification(this)
+    const params = { consumer: 'wave/record/' + file, notify: token }
+    if (maxlen) {
+      params.maxlen = maxlen
+    }
+    await this._masquerade('chan.attach', params)
+    try {
+      await finished
+    } catch (error) {
+      // recording ends with the call
+      if (!this.ended) throw error
+    }
+  }
+
+  transfer (target) {
+    return this._masquerade('call.execute', { callto: target, reason: 'transfer' })
+  }
+
+  collectDigits (options) {
+    // resolves to digits typed, without terminator
+    const { max = 1, timeout = DIGITS_TIMEOUT, terminator = '#' } = options || {}
+    return new Promise((resolve, reject) => {
+      let digits = ''
+      let timer = null
+      const finish = (error) => {
+        clearTimeout(timer)
+        this.removeListener('digit', onDigit)
+        this.removeListener('hangup', onHangup)
+        if (error) {
+          reject(error)
+        } else {
+          resolve(digits)
+        }
+      }
+      const onDigit = (digit) => {
+        if (terminator && terminator.includes(digit)) {
+          finish()
+          return true
+        }
+        digits += digit
+        if (digits.length >= max) {
+          finish()
+          return true
+        }
+        clearTimeout(timer)
+        timer = setTimeout(finish, timeout)
+        return false
+      }
+      const onHangup = () => finish(new Error('hangup'))
+      if (this.ended) {
+        return onHangup()
+      }
+      // digits typed in advance are used first
+      while (this.digits) {
+        const digit = this.digits[0]
+        this.digits = this.digits.substr(1)
+        if (onDigit(digit)) return
+      }
+      this.on('digit', onDigit)
+      this.on('hangup', onHangup)
+      timer = setTimeout(finish, timeout)
+    })
+  }
+
+  _dtmf (params) {
+    this.emit('dtmf', params.text, params)
+    for (const digit of params.text || '') {
+      if (this.listenerCount('digit')) {
+        this.emit('digit', digit)
+      } else {
+        this.digits += digit
+      }
+    }
+  }
+
+  _masquerade (message, params) {
+    return this._dispatch('chan.masquerade', Object.assign({ id: this.id, message }, params))
+  }
+
+  _dispatch (name, params) {
+    if (this.ended) {
+      return Promise.reject(new Error(`call ${this.id} ended`))
+    }
+    return this.connection.dispatch(name, params)
+  }
+}
+
+module.exports = {
+  Calls,
+  Call
+}
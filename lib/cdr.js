@@ -0,0 +1,139 @@
+/*
+
+ Call records from call.cdr notifications of cdrbuild module
+
+ cdrbuild sends call.cdr with operation=initialize when channel starts, update on changes
+ and finalize when it ends. Collector merges them into one record per chan and billid.
+ See https://docs.yate.ro/wiki/Call.cdr
+ */
+
+const events = require('events')
+const { RotatingFile } = require('./rotate')
+
+// calls not finalized for this long are written as incomplete
+const RECORD_TIMEOUT = 4 * 3600 * 1000
+const NUMBERS = ['time', 'duration', 'billtime', 'ringtime']
+const CSV_FIELDS = ['time', 'billid', 'chan', 'caller', 'called', 'direction', 'address',
+  'status', 'reason', 'duration', 'billtime', 'ringtime', 'incomplete']
+
+class CdrCollector extends events.EventEmitter {
+  constructor (connection, options) {
+    super()
+    options = options || {}
+    this.connection = connection
+    this.timeout = options.timeout || RECORD_TIMEOUT
+    this.sinks = (options.sinks || []).map((sink) => typeof sink === 'function' ? { write: sink } : sink)
+    this.records = {}
+    // writes in progress, close() waits for them before closing sinks
+    this.writes = new Set()
+    this.listener = (message) => this._cdr(message.params)
+    this.watched = connection.watch('call.cdr', this.listener)
+  }
+
+  async close () {
+    // open records are written as incomplete
+    await this.connection.unwatch('call.cdr', this.listener)
+    for (const key in this.records) {
+      this._finish(key, true)
+    }
+    await Promise.all(this.writes)
+    await Promise.all(this.sinks.map((sink) => typeof sink.close === 'function' && sink.close()))
+  }
+
+  _cdr (params) {
+    const key = params.billid + '|' + params.chan
+    let entry = this.records[key]
+    if (!entry) {
+      entry = this.records[key] = { params: {} }
+    }
+    Object.assign(entry.params, params)
+    delete entry.params.operation
+    clearTimeout(entry.timer)
+    if (params.operation === 'finalize') {
+      this._finish(key, false)
+    } else {
+      entry.timer = setTimeout(() => this._finish(key, true), this.timeout)
+    }
+  }
+
+  _finish (key, incomplete) {
+    const entry = this.records[key]
+    delete this.records[key]
+    clearTimeout(entry.timer)
+    const record = Object.assign({}, entry.params, { incomplete })
+    NUMBERS.forEach((name) => {
+      if (record[name] !== undefined) {
+        record[name] = parseFloat(record[name]) || 0
+      }
+    })
+    if (incomplete && !record.reason) {
+      record.reason = 'timeout'
+    }
+    this.emit('cdr', record)
+    this.sinks.forEach((sink) => {
+      const write = Promise.resolve()
+        .then(() => sink.write(record))
+        .catch((error) => this.emit('error', error, record))
+        .finally(() => this.writes.delete(write))
+      this.writes.add(write)
+    })
+  }
+}
+
+class JsonSink {
+  // one JSON record per line, to file (rotated) or stream
+  constructor (destination, options) {
+    this.output = typeof destination === 'string' ? new RotatingFile(destination, options) : destination
+  }
+
+  write (record) {
+    this.output.write(JSON.stringify(record) + '\n')
+  }
+
+  close () {
+    return closeOutput(this.output)
+  }
+}
+
+class CsvSink {
+  // comma separated values with header line, to file (rotated, header in every file) or stream
+  constructor (destination, options) {
+    options = options || {}
+    this.fields = options.fields || CSV_FIELDS
+    const header = csvLine(this.fields)
+    if (typeof destination === 'string') {
+      this.output = new RotatingFile(destination, Object.assign({}, options, { header }))
+    } else {
+      this.output = destination
+      this.output.write(header)
+    }
+  }
+
+  write (record) {
+    this.output.write(csvLine(this.fields.map((field) => record[field])))
+  }
+
+  close () {
+    return closeOutput(this.output)
+  }
+}
+
+function csvLine (values) {
+  return values.map((value) => {
+    const string = value === undefined || value === null ? '' : String(value)
+    return /[",\r\n]/.test(string) ? '"' + string.replace(/"/g, '""') + '"' : string
+  }).join(',') + '\n'
+}
+
+function closeOutput (output) {
+  // streams given by caller are left open
+  if (output instanceof RotatingFile) {
+    return output.close()
+  }
+}
+
+module.exports = {
+  CdrCollector,
+  JsonSink,
+  CsvSink
+}
@@ -0,0 +1,314 @@
+/*
+
+ yate-ext command line tool: interactive shell and one-shot commands over extmodule connection
+ */
+
+const util = require('util')
+const readline = require('readline')
+const { Connection, LOCAL_PARAMETERS, ENGINE_PARAMETERS } = require('../index')
+
+const USAGE = `Usage: yate-ext [options] [command [args...]]
+
+Connects to Yate extmodule listener (or works as piped script if neither port nor path given)
+and runs command, or commands given with -e, or interactive shell.
+
+Options:
+  -h, --host <host>     Host to connect to. Default: 127.0.0.1
+  -p, --port <port>     TCP port of extmodule listener
+  -s, --path <path>     UNIX socket of extmodule listener
+  -e, --execute <line>  Command to run, may be repeated
+  -j, --json            Print results as JSON, one per line
+      --help            Show this help
+`
+
+const COMMANDS = {
+  dispatch: {
+    usage: 'dispatch <name> [key=value ...]',
+    run: (shell, [name, ...args]) => shell.connection.dispatch(required(name, 'message name'), params(args))
+  },
+  watch: {
+    usage: 'watch <name> [key=value | key~regexp ...]',
+    run: async (shell, [name, ...args]) => { await shell.watch(required(name, 'message name'), args) }
+  },
+  unwatch: {
+    usage: 'unwatch <name>',
+    run: async (shell, [name]) => { await shell.connection.unwatch(required(name, 'message name')) }
+  },
+  command: {
+    usage: 'command <line>',
+    run: async (shell, args) => (await shell.connection.command(args.join(' '))).retval
+  },
+  status: {
+    usage: 'status [module]',
+    run: (shell, [module]) => shell.connection.status(module)
+  },
+  getlocal: {
+    usage: 'getlocal <name>',
+    run: (shell, [name]) => shell.connection.getlocal(required(name, 'parameter name'))
+  },
+  getconfig: {
+    usage: 'getconfig <section> [key]',
+    run: (shell, [section, key]) => key === undefined
+      ? shell.connection.getsection(required(section, 'section'))
+      : shell.connection.getconfig(section, key)
+  },
+  help: {
+    usage: 'help',
+    run: () => Object.values(COMMANDS).map((command) => command.usage).join('\n')
+  },
+  quit: {
+    usage: 'quit',
+    run: (shell) => shell.close()
+  }
+}
+
+const LOCAL_NAMES = Object.keys(LOCAL_PARAMETERS)
+  .concat(Object.keys(ENGINE_PARAMETERS).map((name) => 'engine.' + name))
+
+class Shell {
+  constructor (connection, options) {
+    options = options || {}
+    this.connection = connection
+    this.json = !!options.json
+    this.output = options.output || process.stdout
+    this.closed = false
+  }
+
+  execute (line) {
+    // line is string or array of words, resolves to result of command, which is already printed
+    const [name, ...args] = Array.isArray(line) ? line : tokenize(line)
+    if (!name) return Promise.resolve()
+    const command = COMMANDS[name]
+    if (!command) {
+      return Promise.reject(new Error(`unknown command ${name}, try help`))
+    }
+    return Promise.resolve(command.run(this, args)).then((result) => {
+      if (result !== undefined) {
+        this.print(name, result)
+      }
+      return result
+    })
+  }
+
+  watch (name, args) {
+    const filters = args.map((arg) => {
+      const match = /^([^=~]+)([=~])(.*)$/.exec(arg)
+      if (!match) {
+        throw new Error(`invalid filter ${arg}`)
+      }
+      const [, key, operator, value] = match
+      const regexp = operator === '~' && new RegExp(value)
+      return (flat) => regexp ? regexp.test(flat[key] || '') : flat[key] === value
+    })
+    return this.connection.watch(name, (message, retval) => {
+      const flat = flatten(message.params)
+      if (filters.every((filter) => filter(flat))) {
+        this.print('watch', { name, retval, params: message.params })
+      }
+    })
+  }
+
+  print (name, result) {
+    let text
+    if (this.json) {
+      text = JSON.stringify({ command: name, result })
+    } else if (typeof result === 'string') {
+      text = result.replace(/\n$/, '')
+    } else {
+      text = util.inspect(result, { depth: null, colors: !!this.output.isTTY })
+    }
+    this.output.write(text + '\n')
+  }
+
+  complete (line) {
+    // readline completer
+    const words = line.split(/\s+/)
+    const last = words[words.length - 1]
+    let candidates = []
+    if (words.length === 1) {
+      candidates = Object.keys(COMMANDS)
+    } else if (words.length === 2 && words[0] === 'getlocal') {
+      candidates = LOCAL_NAMES
+    }
+    const hits = candidates.filter((candidate) => candidate.startsWith(last))
+    return [hits, last]
+  }
+
+  close () {
+    this.closed = true
+    return this.connection.close()
+  }
+}
+
+function tokenize (line) {
+  // words separated by spaces, quotes group words
+  const tokens = []
+  const re = /"([^"]*)"|'([^']*)'|(\S+)/g
+  let match
+  while ((match = re.exec(line))) {
+    tokens.push(match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2] : match[3])
+  }
+  return tokens
+}
+
+function params (args) {
+  const result = {}
+  args.forEach((arg) => {
+    const pos = arg.indexOf('=')
+    if (pos < 1) {
+      throw new Error(`invalid parameter ${arg}, key=value expected`)
+    }
+    result[arg.substr(0, pos)] = arg.substr(pos + 1)
+  })
+  return result
+}
+
+function flatten (object, prefix, result) {
+  // decorated params back to dotted keys, for filtering
+  result = result || {}
+  for (const key in object) {
+    const value = object[key]
+    const name = prefix ? (key === 'value' ? prefix : prefix + '.' + key) : key
+    if (value !== null && typeof value === 'object') {
+      flatten(value, name, result)
+    } else {
+      result[name] = String(value)
+    }
+  }
+  return result
+}
+
+function required (value, what) {
+  if (!value) {
+    throw new Error(`${what} required`)
+  }
+  return value
+}
+
+function parseArguments (argv) {
+  const { values, positionals } = util.parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      host: { type: 'string', short: 'h' },
+      port: { type: 'string', short: 'p' },
+      path: { type: 'string', short: 's' },
+      execute: { type: 'string', short: 'e', multiple: true },
+      json: { type: 'boolean', short: 'j' },
+      help: { type: 'boolean' }
+    }
+  })
+  // commands as arrays of words
+  const lines = (values.execute || []).map(tokenize)
+  if (positionals.length) {
+    lines.push(positionals)
+  }
+  return {
+    help: !!values.help,
+    json: !!values.json,
+    lines,
+    connection: {
+      host: values.host,
+      port: values.port && parseInt(values.port),
+      path: values.path
+    }
+  }
+}
+
+async function main (argv, io) {
+  // returns exit code
+  io = io || { input: process.stdin, output: process.stdout, error: process.stderr }
+  let args
+  try {
+    args = parseArguments(argv)
+  } catch (error) {
+    io.error.write(error.message + '\n' + USAGE)
+    return 2
+  }
+  if (args.help) {
+    io.output.write(USAGE)
+    return 0
+  }
+  const piped = !(args.connection.port || args.connection.path)
+  const interactive = !args.lines.length
+  if (piped && interactive) {
+    io.error.write('interactive shell needs port or path, stdin and stdout are taken by piped mode\n' + USAGE)
+    return 2
+  }
+  // in piped mode stdout is protocol, results go to stderr
+  const output = piped ? io.error : io.output
+  const connection = new Connection(Object.assign({ reconnect: false }, args.connection))
+  const shell = new Shell(connection, { json: args.json, output })
+
+  try {
+    await new Promise((resolve, reject) => {
+      connection.once('connect', resolve)
+      connection.once('error', reject)
+      connection.connect()
+    })
+  } catch (error) {
+    io.error.write(`cannot connect: ${error.message}\n`)
+    return 1
+  }
+  // shell survives Yate restarts, one-shot commands don't
+  connection.reconnect = interactive
+  connection.on('error', (error) => io.error.write(`error: ${error.message}\n`))
+
+  if (!interactive) {
+    let watching = false
+    for (const line of args.lines) {
+      try {
+        await shell.execute(line)
+        watching = watching || line[0] === 'watch'
+      } catch (error) {
+        io.error.write(`${line.join(' ')}: ${error.message}\n`)
+        await shell.close()
+        return 1
+      }
+    }
+    if (watching) {
+      // watch goes on until interrupted
+      let stop
+      await new Promise((resolve) => {
+        stop = resolve
+        connection.once('disconnect', stop)
+        process.once('SIGINT', stop)
+      })
+      process.removeListener('SIGINT', stop)
+    }
+    await shell.close()
+    return 0
+  }
+
+  const rl = readline.createInterface({
+    input: io.input,
+    output: io.output,
+    prompt: 'yate> ',
+    completer: (line) => shell.complete(line)
+  })
+  connection.on('disconnect', () => {
+    if (connection.reconnect) {
+      io.error.write('disconnected, reconnecting\n')
+    }
+  })
+  rl.prompt()
+  for await (const line of rl) {
+    try {
+      await shell.execute(line)
+    } catch (error) {
+      io.error.write(`error: ${error.message}\n`)
+    }
+    if (shell.closed) break
+    rl.prompt()
+  }
+  rl.close()
+  await shell.close()
+  return 0
+}
+
+module.exports = {
+  Shell,
+  main,
+  tokenize,
+  parseArguments
+}
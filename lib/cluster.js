@@ -0,0 +1,221 @@
+/*
+
+ Several Yate nodes behind one interface: load-balanced dispatch and mirrored subscriptions
+ */
+
+const events = require('events')
+const { Connection } = require('../index')
+
+const QUEUE_TIMEOUT = 10000
+const STRATEGIES = ['round-robin', 'least-pending', 'sticky']
+const EVENTS = ['disconnect', 'error', 'warning', 'exception']
+
+class Cluster extends events.EventEmitter {
+  constructor (nodes, options) {
+    super()
+    options = options || {}
+    this.strategy = options.strategy || 'round-robin'
+    if (!STRATEGIES.includes(this.strategy)) {
+      throw new Error(`strategy ${this.strategy} is invalid`)
+    }
+    if (this.strategy === 'sticky' && !options.key) {
+      throw new Error('key is required for sticky strategy')
+    }
+    this.key = options.key
+    this.queueTimeout = options.queueTimeout || QUEUE_TIMEOUT
+    this.queue = []
+    this.counter = 0
+    this.subscriptions = []
+    this.watchers = []
+    this.nodes = (nodes || []).map((item, index) => this._node(item, index))
+  }
+
+  connect () {
+    this.nodes.forEach((node) => node.connection.connect())
+  }
+
+  dispatch (name, params, options, callback) {
+    if (typeof params === 'function') {
+      callback = params
+      params = null
+      options = null
+    } else if (typeof options === 'function') {
+      callback = options
+      options = null
+    }
+    const node = this._choose(name, params)
+    if (node) {
+      return node.connection.dispatch(name, params, options, callback)
+    }
+    // nobody is up, wait for the first node to connect
+    const entry = { name, params, options, callback }
+    const promise = typeof callback === 'function'
+      ? undefined
+      : new Promise((resolve, reject) => {
+        entry.callback = (err, retval, params) => err ? reject(err) : resolve({ retval, params })
+      })
+    if (promise) {
+      promise.catch(() => {})
+    }
+    const fail = (error) => {
+      const index = this.queue.indexOf(entry)
+      if (index === -1) return
+      this.queue.splice(index, 1)
+      clearTimeout(entry.timer)
+      entry.callback(error)
+    }
+    const signal = options && options.signal
+    if (signal && signal.aborted) {
+      entry.callback(signal.reason)
+      return promise
+    }
+    if (signal) {
+      signal.addEventListener('abort', () => fail(signal.reason), { once: true })
+    }
+    entry.timer = setTimeout(() => fail(new Error('timeout')), this.queueTimeout)
+    this.queue.push(entry)
+    return promise
+  }
+
+  command (line, options, callback) {
+    return this.dispatch('engine.command', { line }, options, callback)
+  }
+
+  subscribe (name, ...args) {
+    // listener(message, retval, next, node)
+    const index = args.findIndex((arg) => typeof arg === 'function')
+    if (index === -1) {
+      throw new Error('Listener is not a function')
+    }
+    const listener = args[index]
+    const wrappers = this.nodes.map((node) => (params, retval, next) => listener(params, retval, next, node))
+    this.subscriptions.push({ name, listener, wrappers })
+    return Promise.all(this.nodes.map((node, i) => {
+      const nodeArgs = args.slice(0, index).concat(wrappers[i])
+      return node.connection.subscribe(name, ...nodeArgs)
+    }))
+  }
+
+  unsubscribe (name, listener) {
+    const removed = this.subscriptions.filter((item) => item.name === name && (!listener || item.listener === listener))
+    this.subscriptions = this.subscriptions.filter((item) => !removed.includes(item))
+    return Promise.all(this.nodes.map((node, i) => {
+      if (!listener) {
+        return node.connection.unsubscribe(name)
+      }
+      return Promise.all(removed.map((item) => node.connection.unsubscribe(name, item.wrappers[i])))
+    }))
+  }
+
+  watch (name, listener) {
+    // listener(message, retval, node)
+    const wrappers = this.nodes.map((node) => (params, retval) => listener(params, retval, node))
+    this.watchers.push({ name, listener, wrappers })
+    return Promise.all(this.nodes.map((node, i) => node.connection.watch(name, wrappers[i])))
+  }
+
+  unwatch (name, listener) {
+    const removed = this.watchers.filter((item) => item.name === name && (!listener || item.listener === listener))
+    this.watchers = this.watchers.filter((item) => !removed.includes(item))
+    return Promise.all(this.nodes.map((node, i) => {
+      if (!listener) {
+        return node.connection.unwatch(name)
+      }
+      return Promise.all(removed.map((item) => node.connection.unwatch(name, item.wrappers[i])))
+    }))
+  }
+
+  _node (item, index) {
+    const connection = item instanceof Connection ? item : new Connection(item)
+    const node = { index, connection, nodename: null }
+    Object.defineProperty(node, 'name', {
+      enumerable: true,
+      get: () => node.nodename || connection.path || `${connection.host}:${connection.port}`
+    })
+    connection.on('connect', async () => {
+      try {
+        node.nodename = await connection.getlocal('engine.nodename')
+      } catch (error) {
+        // keep address as node name
+      }
+      if (!connection.connected) return
+      this.emit('connect', node)
+      this._flush()
+    })
+    connection.on('disconnect', () => this._failover())
+    EVENTS.forEach((event) => {
+      connection.on(event, (...args) => this.emit(event, ...args, node))
+    })
+    return node
+  }
+
+  _healthy () {
+    return this.nodes.filter((node) => node.connection.connected)
+  }
+
+  _choose (name, params) {
+    const healthy = this._healthy()
+    if (!healthy.length) return null
+    switch (this.strategy) {
+      case 'least-pending': {
+        const pending = (node) => Object.keys(node.connection.dispatchCallbacks).length + node.connection.queue.length
+        return healthy.reduce((best, node) => pending(node) < pending(best) ? node : best)
+      }
+      case 'sticky': {
+        // same key goes to the same node while it's up, otherwise to the next one up
+        const value = typeof this.key === 'function' ? this.key(name, params || {}) : (params || {})[this.key]
+        const start = hash(String(value)) % this.nodes.length
+        for (let i = 0; i < this.nodes.length; i++) {
+          const node = this.nodes[(start + i) % this.nodes.length]
+          if (node.connection.connected) return node
+        }
+        return null
+      }
+      default:
+        return healthy[this.counter++ % healthy.length]
+    }
+  }
+
+  _failover () {
+    // messages queued on nodes which are down go to healthy ones
+    this.nodes.forEach((node) => {
+      const connection = node.connection
+      if (connection.connected) return
+      connection.queue.slice().forEach((message) => {
+        const target = this._choose(message._name, message.params)
+        if (target) {
+          connection._handover(message, target.connection)
+        }
+      })
+    })
+  }
+
+  _flush () {
+    this._failover()
+    const queue = this.queue
+    this.queue = []
+    queue.forEach((entry) => {
+      const node = this._choose(entry.name, entry.params)
+      if (node) {
+        clearTimeout(entry.timer)
+        node.connection.dispatch(entry.name, entry.params, entry.options, entry.callback)
+      } else {
+        this.queue.push(entry)
+      }
+    })
+  }
+}
+
+function hash (string) {
+  // FNV-1a
+  let result = 0x811c9dc5
+  for (let i = 0; i < string.length; i++) {
+    result ^= string.charCodeAt(i)
+    result = Math.imul(result, 0x01000193)
+  }
+  return result >>> 0
+}
+
+module.exports = {
+  Cluster
+}
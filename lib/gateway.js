@@ -0,0 +1,314 @@
+/*
+
+ HTTP and WebSocket access to Connection for services not written in Node.js
+
+ REST:
+   POST /dispatch { name, params, timeout }  -> { processed, retval, params }
+   POST /command { line }                    -> { processed, retval }
+   GET /status[/<module>]                    -> parsed status
+   GET /config/<section>[/<key>]             -> section object or { value }
+
+ WebSocket /ws, JSON messages:
+   { type: 'watch' | 'unwatch', name }       -> { type: 'notification', name, retval, params }
+   { type: 'subscribe', name, priority }     -> { type: 'message', id, name, retval, params }
+   { type: 'reply', id, processed, retval, params }
+   { type: 'unsubscribe', name }
+ */
+
+const http = require('http')
+const { accept, reject } = require('./websocket')
+
+// remote listener must reply before Connection acknowledges message itself
+const REPLY_MARGIN = 500
+const DISPATCH_TIMEOUT = 10000
+const MAX_BODY = 1024 * 1024
+// longest delay setTimeout() takes
+const MAX_TIMEOUT = 0x7fffffff
+// categories that token's own allow lists may leave out, those are denied
+const CATEGORIES = ['dispatch', 'watch', 'subscribe', 'config']
+
+class Gateway {
+  constructor (connection, options) {
+    options = options || {}
+    this.connection = connection
+    this.tokens = options.tokens || null
+    // access without token must be asked for explicitly
+    if (!this.tokens && !options.open) {
+      throw new Error('tokens are required, or open option for access without them')
+    }
+    this.allow = options.allow || null
+    this.maxBody = options.maxBody || MAX_BODY
+    this.timeout = options.timeout
+    this.clients = new Set()
+    this.server = http.createServer((req, res) => this._request(req, res))
+    this.server.on('upgrade', (req, socket, head) => this._upgrade(req, socket, head))
+  }
+
+  listen (options) {
+    // options are those of server.listen(), resolves to http.Server
+    options = options || {}
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject)
+      this.server.listen({ port: options.port || 0, host: options.host, path: options.path }, () => {
+        this.server.removeListener('error', reject)
+        resolve(this.server)
+      })
+    })
+  }
+
+  close () {
+    this.clients.forEach((client) => client.ws.close(1001, 'server closed'))
+    return new Promise((resolve) => this.server.close(() => resolve()))
+  }
+
+  _authorize (req) {
+    // allow lists of the token, or null if access is denied
+    if (!this.tokens) return this.allow || {}
+    const url = new URL(req.url, 'http://localhost')
+    const header = req.headers.authorization || ''
+    const token = header.startsWith('Bearer ') ? header.slice(7) : url.searchParams.get('token')
+    if (!token) return null
+    if (Array.isArray(this.tokens)) {
+      return this.tokens.includes(token) ? this.allow || {} : null
+    }
+    if (!Object.prototype.hasOwnProperty.call(this.tokens, token)) return null
+    // token may have its own allow lists, what they don't list is denied
+    const allow = this.tokens[token]
+    if (!allow || typeof allow !== 'object') return this.allow || {}
+    const result = {}
+    CATEGORIES.forEach((category) => { result[category] = allow[category] || [] })
+    return result
+  }
+
+  async _request (req, res) {
+    const allow = this._authorize(req)
+    if (!allow) return respond(res, 401, { error: 'unauthorized' })
+    const path = new URL(req.url, 'http://localhost').pathname.split('/').filter(Boolean).map(decodeURIComponent)
+    try {
+      if (req.method === 'POST' && path[0] === 'dispatch' && path.length === 1) {
+        const body = await readJson(req, this.maxBody)
+        if (!body.name || typeof body.name !== 'string') return respond(res, 400, { error: 'message name required' })
+        if (!allowed(allow.dispatch, body.name)) return respond(res, 403, { error: `${body.name} is not allowed` })
+        const invalid = validate(body)
+        if (invalid) return respond(res, 400, { error: invalid })
+        return respond(res, 200, await this._dispatch(body.name, body.params, body.timeout))
+      }
+      if (req.method === 'POST' && path[0] === 'command' && path.length === 1) {
+        const body = await readJson(req, this.maxBody)
+        if (!allowed(allow.dispatch, 'engine.command')) return respond(res, 403, { error: 'engine.command is not allowed' })
+        const invalid = validate(body)
+        if (invalid) return respond(res, 400, { error: invalid })
+        const { processed, retval } = await this._dispatch('engine.command', { line: String(body.line || '') }, body.timeout)
+        return respond(res, 200, { processed, retval })
+      }
+      if (req.method === 'GET' && path[0] === 'status' && path.length <= 2) {
+        if (!allowed(allow.dispatch, 'engine.status')) return respond(res, 403, { error: 'engine.status is not allowed' })
+        return respond(res, 200, await this.connection.status(path[1] || null))
+      }
+      if (req.method === 'GET' && path[0] === 'config' && (path.length === 2 || path.length === 3)) {
+        if (!allowed(allow.config, path[1])) return respond(res, 403, { error: `section ${path[1]} is not allowed` })
+        if (path.length === 2) {
+          return respond(res, 200, await this.connection.getsection(path[1]))
+        }
+        return respond(res, 200, { value: await this.connection.getconfig(path[1], path[2]) })
+      }
+    } catch (error) {
+      return respond(res, error.status || (error instanceof SyntaxError ? 400 : 502), { error: error.message })
+    }
+    respond(res, 404, { error: 'not found' })
+  }
+
+  _dispatch (name, params, timeout) {
+    // not processed message is a valid answer here, not an error
+    return new Promise((resolve, reject) => {
+      this.connection.dispatch(name, params || {}, { timeout }, (error, retval, params) => {
+        if (error && error.message !== 'not processed') return reject(error)
+        resolve({ processed: !error, retval, params })
+      })
+    })
+  }
+
+  _upgrade (req, socket, head) {
+    if (new URL(req.url, 'http://localhost').pathname !== '/ws') {
+      return reject(socket, 404, 'Not Found')
+    }
+    const allow = this._authorize(req)
+    if (!allow) {
+      return reject(socket, 401, 'Unauthorized')
+    }
+    const ws = accept(req, socket, head)
+    if (!ws) return
+    const client = { ws, allow, watchers: {}, listeners: {}, pending: {}, counter: 0 }
+    this.clients.add(client)
+    ws.on('message', (data) => this._message(client, data))
+    ws.on('error', () => ws.close())
+    ws.on('close', () => this._disconnect(client))
+  }
+
+  async _message (client, data) {
+    let request
+    try {
+      request = JSON.parse(data)
+    } catch (error) {
+      return send(client, { type: 'error', error: 'invalid JSON' })
+    }
+    const { type, name } = request
+    if (type === 'reply') {
+      const pending = client.pending[request.id]
+      if (pending) {
+        delete client.pending[request.id]
+        pending(request)
+      }
+      return
+    }
+    if (!name || typeof name !== 'string') {
+      return send(client, { type: 'error', error: 'message name required' })
+    }
+    try {
+      if (type === 'watch') {
+        if (!allowed(client.allow.watch, name)) throw new Error(`${name} is not allowed`)
+        if (!client.watchers[name]) {
+          client.watchers[name] = (message, retval) => send(client, { type: 'notification', name, retval, params: message.params })
+          await this.connection.watch(name, client.watchers[name])
+        }
+        send(client, { type: 'watched', name })
+      } else if (type === 'unwatch') {
+        const listener = client.watchers[name]
+        delete client.watchers[name]
+        if (listener) await this.connection.unwatch(name, listener)
+        send(client, { type: 'unwatched', name })
+      } else if (type === 'subscribe') {
+        if (!allowed(client.allow.subscribe, name)) throw new Error(`${name} is not allowed`)
+        if (!client.listeners[name]) {
+          client.listeners[name] = (message, retval, next) => this._offer(client, name, message.params, retval, next)
+          try {
+            await this.connection.subscribe(name, request.priority, client.listeners[name])
+          } catch (error) {
+            delete client.listeners[name]
+            throw error
+          }
+        }
+        send(client, { type: 'subscribed', name })
+      } else if (type === 'unsubscribe') {
+        const listener = client.listeners[name]
+        delete client.listeners[name]
+        if (listener) await this.connection.unsubscribe(name, listener)
+        send(client, { type: 'unsubscribed', name })
+      } else {
+        throw new Error(`unknown type ${type}`)
+      }
+    } catch (error) {
+      send(client, { type: 'error', name, error: error.message })
+    }
+  }
+
+  async _offer (client, name, params, retval, next) {
+    // message is passed further if remote listener doesn't reply in time
+    const id = String(++client.counter)
+    const timeout = this.timeout || Math.max((this.connection.parameters.timeout || DISPATCH_TIMEOUT) - REPLY_MARGIN, 0)
+    const reply = await new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        delete client.pending[id]
+        resolve(null)
+      }, timeout)
+      client.pending[id] = (reply) => {
+        clearTimeout(timer)
+        resolve(reply)
+      }
+      send(client, { type: 'message', id, name, retval, params })
+    })
+    if (!reply || reply.processed === false) return next()
+    if (reply.params && typeof reply.params === 'object') {
+      Object.assign(params, reply.params)
+    }
+    return reply.retval === undefined || reply.retval === null ? retval : String(reply.retval)
+  }
+
+  _disconnect (client) {
+    this.clients.delete(client)
+    for (const name in client.watchers) {
+      this.connection.unwatch(name, client.watchers[name])
+    }
+    for (const name in client.listeners) {
+      this.connection.unsubscribe(name, client.listeners[name])
+    }
+    for (const id in client.pending) {
+      client.pending[id](null)
+    }
+    client.watchers = {}
+    client.listeners = {}
+    client.pending = {}
+  }
+}
+
+function allowed (list, name) {
+  // no list means everything is allowed; entries are names, RegExp or names with * wildcard
+  if (!list) return true
+  return list.some((item) => {
+    if (item instanceof RegExp) return item.test(name)
+    if (item.includes('*')) {
+      return new RegExp('^' + item.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$').test(name)
+    }
+    return item === name
+  })
+}
+
+function validate (body) {
+  // remote input is checked here, connection would find bad message only when sending it
+  const { params, timeout } = body
+  if (params !== undefined) {
+    if (!params || typeof params !== 'object' || Array.isArray(params)) return 'params must be an object'
+    for (const key in params) {
+      if (!['string', 'number', 'boolean'].includes(typeof params[key])) return `parameter ${key} must be string, number or boolean`
+    }
+  }
+  if (timeout !== undefined && !(typeof timeout === 'number' && timeout > 0 && timeout <= MAX_TIMEOUT)) {
+    return `timeout must be a number of ms from 1 to ${MAX_TIMEOUT}`
+  }
+  return null
+}
+
+function readJson (req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    let size = 0
+    req.on('data', (chunk) => {
+      size += chunk.length
+      if (size > limit) {
+        // rest of body is read and dropped, so that response still reaches client
+        const error = new Error('request body too large')
+        error.status = 413
+        return reject(error)
+      }
+      chunks.push(chunk)
+    })
+    req.on('error', reject)
+    req.on('end', () => {
+      if (size > limit) return
+      const body = Buffer.concat(chunks).toString()
+      let result
+      try {
+        result = body ? JSON.parse(body) : {}
+      } catch (error) {
+        return reject(error)
+      }
+      if (!result || typeof result !== 'object' || Array.isArray(result)) {
+        return reject(new SyntaxError('JSON object expected'))
+      }
+      resolve(result)
+    })
+  })
+}
+
+function respond (res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(body))
+}
+
+function send (client, message) {
+  client.ws.send(JSON.stringify(message))
+}
+
+module.exports = {
+  Gateway
+}
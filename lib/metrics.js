@@ -0,0 +1,202 @@
+/*
+
+ Metrics registry with Prometheus text exposition
+
+ See https://prometheus.io/docs/instrumenting/exposition_formats/
+ */
+
+const http = require('http')
+
+const BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+
+class Metric {
+  constructor (name, help, labelNames, collect) {
+    this.name = name
+    this.help = help
+    this.labelNames = labelNames || []
+    // collect(metric) is called before exposition, to update values which are cheaper to read than to track
+    this.collect = collect
+    this.values = new Map()
+  }
+
+  get (labels) {
+    const entry = this.values.get(this._key(labels))
+    return entry ? entry.value : 0
+  }
+
+  reset () {
+    this.values.clear()
+  }
+
+  _key (labels) {
+    return JSON.stringify(this.labelNames.map((name) => labels && labels[name] !== undefined && labels[name] !== null ? String(labels[name]) : ''))
+  }
+
+  _entry (labels, initial) {
+    const key = this._key(labels)
+    let entry = this.values.get(key)
+    if (!entry) {
+      entry = { labels: Object.assign({}, labels), value: initial() }
+      this.values.set(key, entry)
+    }
+    return entry
+  }
+
+  _lines () {
+    return Array.from(this.values.values(), (entry) => this.name + labelText(entry.labels) + ' ' + entry.value)
+  }
+}
+
+class Counter extends Metric {
+  inc (labels, value) {
+    this._entry(labels, () => 0).value += value === undefined ? 1 : value
+  }
+
+  set (labels, value) {
+    // for collect() of totals kept elsewhere
+    this._entry(labels, () => 0).value = value
+  }
+}
+
+class Gauge extends Metric {
+  set (labels, value) {
+    this._entry(labels, () => 0).value = value
+  }
+
+  inc (labels, value) {
+    this._entry(labels, () => 0).value += value === undefined ? 1 : value
+  }
+
+  dec (labels, value) {
+    this._entry(labels, () => 0).value -= value === undefined ? 1 : value
+  }
+}
+
+class Histogram extends Metric {
+  constructor (name, help, labelNames, buckets) {
+    super(name, help, labelNames)
+    this.buckets = (buckets || BUCKETS).slice().sort((a, b) => a - b)
+  }
+
+  observe (labels, value) {
+    const entry = this._entry(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }))
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) entry.value.counts[i]++
+    })
+    entry.value.sum += value
+    entry.value.count++
+  }
+
+  get (labels) {
+    const entry = this.values.get(this._key(labels))
+    return entry ? { sum: entry.value.sum, count: entry.value.count } : { sum: 0, count: 0 }
+  }
+
+  startTimer (labels) {
+    // returns function which observes seconds elapsed
+    const start = process.hrtime.bigint()
+    return () => this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9)
+  }
+
+  _lines () {
+    const lines = []
+    for (const { labels, value } of this.values.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(this.name + '_bucket' + labelText(Object.assign({}, labels, { le: bound })) + ' ' + value.counts[i])
+      })
+      lines.push(this.name + '_bucket' + labelText(Object.assign({}, labels, { le: '+Inf' })) + ' ' + value.count)
+      lines.push(this.name + '_sum' + labelText(labels) + ' ' + value.sum)
+      lines.push(this.name + '_count' + labelText(labels) + ' ' + value.count)
+    }
+    return lines
+  }
+}
+
+const TYPES = { counter: Counter, gauge: Gauge, histogram: Histogram }
+
+class Registry {
+  constructor () {
+    this.metrics = {}
+  }
+
+  counter (name, help, labelNames, collect) {
+    return this._register('counter', name, help, labelNames, collect)
+  }
+
+  gauge (name, help, labelNames, collect) {
+    return this._register('gauge', name, help, labelNames, collect)
+  }
+
+  histogram (name, help, labelNames, buckets) {
+    return this._register('histogram', name, help, labelNames, buckets)
+  }
+
+  get (name) {
+    return this.metrics[name]
+  }
+
+  text () {
+    const lines = []
+    for (const name in this.metrics) {
+      const metric = this.metrics[name]
+      if (typeof metric.collect === 'function') {
+        metric.collect(metric)
+      }
+      lines.push(`# HELP ${name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`)
+      lines.push(`# TYPE ${name} ${metric.type}`)
+      lines.push(...metric._lines())
+    }
+    return lines.join('\n') + '\n'
+  }
+
+  serve (options) {
+    // http endpoint for scraping, options are those of server.listen() plus path
+    options = options || {}
+    const path = options.path || '/metrics'
+    const server = http.createServer((req, res) => {
+      if (req.method !== 'GET' || req.url.split('?')[0] !== path) {
+        res.writeHead(404)
+        res.end()
+        return
+      }
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' })
+      res.end(this.text())
+    })
+    return new Promise((resolve, reject) => {
+      server.once('error', reject)
+      server.listen({ port: options.port || 0, host: options.host }, () => {
+        server.removeListener('error', reject)
+        resolve(server)
+      })
+    })
+  }
+
+  _register (type, name, help, labelNames, extra) {
+    // registering again gives existing metric
+    const existing = this.metrics[name]
+    if (existing) {
+      if (existing.type !== type) {
+        throw new Error(`metric ${name} is already registered as ${existing.type}`)
+      }
+      return existing
+    }
+    const metric = new TYPES[type](name, help, labelNames, extra)
+    metric.type = type
+    this.metrics[name] = metric
+    return metric
+  }
+}
+
+function labelText (labels) {
+  const keys = Object.keys(labels || {})
+  if (!keys.length) return ''
+  const pairs = keys.map((key) => key + '="' + String(labels[key]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n') + '"')
+  return '{' + pairs.join(',') + '}'
+}
+
+module.exports = {
+  Registry,
+  Counter,
+  Gauge,
+  Histogram
+}
@@ -0,0 +1,374 @@
+/*
+
+ In-process fake of Yate engine for testing extmodule applications offline
+
+ Speaks extmodule protocol over TCP or UNIX sockets, or over a pair of streams for piped mode.
+ See https://docs.yate.ro/wiki/External_module_command_flow
+ */
+
+const net = require('net')
+const events = require('events')
+const readline = require('readline')
+const stream = require('stream')
+const { Message, escape, unescape, LOCAL_PARAMETERS } = require('../index')
+
+const DEFAULT_PRIORITY = 100
+const MESSAGE_TIMEOUT = 10000
+
+class MockEngine extends events.EventEmitter {
+  constructor (options) {
+    super()
+    options = options || {}
+    this.config = options.config || {}
+    this.engine = Object.assign({
+      version: '6.4.0',
+      release: '1',
+      nodename: 'mock',
+      runid: Math.floor(Date.now() / 1000),
+      configname: 'yate',
+      clientmode: false,
+      supervised: false,
+      maxworkers: 10
+    }, options.engine)
+    this.timeout = options.timeout || MESSAGE_TIMEOUT
+    this.sessions = []
+    this.servers = []
+    this.sockets = new Set()
+    this.handlers = []
+    this.commands = []
+    this.statuses = []
+    this.counter = 0
+
+    this.handle('engine.command', (params) => {
+      for (const { match, response } of this.commands) {
+        const found = match instanceof RegExp ? match.exec(params.line) : (match === params.line && [params.line])
+        if (found) {
+          return typeof response === 'function' ? response(params.line, found) : response
+        }
+      }
+      return { processed: false }
+    })
+    this.handle('engine.status', (params, retval) => {
+      if (!params.module) {
+        // like in Yate, every module appends its line and message goes on
+        const lines = this.statuses
+          .map(({ module, response }) => typeof response === 'function' ? response(module) : response)
+        return { processed: false, retval: retval + lines.map((line) => line.replace(/\r?\n$/, '') + '\r\n').join('') }
+      }
+      for (const { module, response } of this.statuses) {
+        if (!module || module === params.module) {
+          return typeof response === 'function' ? response(params.module) : response
+        }
+      }
+      return { processed: false }
+    })
+  }
+
+  listen (options) {
+    if (typeof options === 'number') {
+      options = { port: options }
+    }
+    options = options || {}
+    return new Promise((resolve, reject) => {
+      const server = net.createServer((socket) => {
+        this.sockets.add(socket)
+        socket.on('close', () => this.sockets.delete(socket))
+        this._attach(socket, socket)
+      })
+      server.once('error', reject)
+      const address = options.path ? { path: options.path } : { port: options.port || 0, host: options.host || '127.0.0.1' }
+      server.listen(address, () => {
+        server.removeListener('error', reject)
+        this.servers.push(server)
+        resolve(server.address())
+      })
+    })
+  }
+
+  pipe () {
+    // streams for Connection options.input and options.output in piped mode
+    const input = new stream.PassThrough()
+    const output = new stream.PassThrough()
+    this._attach(output, input)
+    return { input, output }
+  }
+
+  handle (name, priority, handler) {
+    // scripted engine-side handler: handler(params, retval) returns retval or { processed, retval }
+    if (typeof priority === 'function') {
+      handler = priority
+      priority = DEFAULT_PRIORITY
+    }
+    this.handlers.push({ name, priority, handler })
+  }
+
+  onCommand (match, response) {
+    this.commands.push({ match, response })
+  }
+
+  onStatus (module, response) {
+    if (response === undefined) {
+      response = module
+      module = null
+    }
+    this.statuses.push({ module, response })
+  }
+
+  async message (name, params, options) {
+    // dispatch message from engine side, resolves to { processed, retval, params }
+    return this._dispatch(null, name, params, options && options.retval)
+  }
+
+  close () {
+    this.sessions.forEach((session) => session.close())
+    // sessions don't read after close, so sockets wouldn't notice the other end is gone
+    this.sockets.forEach((socket) => socket.destroy())
+    return Promise.all(this.servers.map((server) => new Promise((resolve) => server.close(resolve))))
+  }
+
+  async _dispatch (origin, name, params, retval) {
+    const message = { name, processed: false, retval: retval || '', params: Object.assign({}, params) }
+    const id = 'mock.' + (++this.counter)
+    const handlers = []
+    this.sessions.forEach((session) => {
+      if (session === origin && session.locals.reenter !== 'true') return
+      const install = session.installs[name]
+      if (install && (!install.filter || message.params[install.filter] === install.filterValue)) {
+        handlers.push({ priority: install.priority, session })
+      }
+    })
+    this.handlers.forEach((item) => {
+      if (item.name === name) {
+        handlers.push(item)
+      }
+    })
+    handlers.sort((a, b) => a.priority - b.priority)
+
+    for (const item of handlers) {
+      if (item.session) {
+        const answer = await item.session.offer(id, message)
+        if (!answer) continue
+        message.params = answer.params
+        message.retval = answer.retval
+        message.processed = answer.processed
+      } else {
+        const result = await item.handler(message.params, message.retval)
+        if (result !== null && typeof result === 'object') {
+          message.processed = result.processed !== false
+          if (result.retval !== undefined) message.retval = result.retval
+          Object.assign(message.params, result.params)
+        } else {
+          message.processed = true
+          if (result !== undefined) message.retval = result
+        }
+      }
+      if (message.processed) break
+    }
+
+    this.sessions.forEach((session) => {
+      if (session === origin && session.locals.selfwatch !== 'true') return
+      if (session.watches.has(name) || session.watches.has('')) {
+        session.notify(message)
+      }
+    })
+    this.emit('dispatched', message)
+    return message
+  }
+
+  _attach (readable, writable) {
+    const session = new Session(this, readable, writable)
+    this.sessions.push(session)
+    session.on('close', () => {
+      this.sessions = this.sessions.filter((item) => item !== session)
+    })
+    this.emit('session', session)
+    return session
+  }
+
+  _setlocal (session, name, value) {
+    // %%<setlocal:<name>:<value>:<success>
+    let success = true
+    if (name.startsWith('engine.')) {
+      value = this.engine[name.substr(7)]
+      success = value !== undefined
+    } else if (name.startsWith('config.')) {
+      const path = name.substr(7)
+      const pos = path.indexOf('.')
+      const section = this.config[pos > 0 ? path.substr(0, pos) : path]
+      if (!section) {
+        success = false
+      } else if (pos > 0) {
+        value = section[path.substr(pos + 1)]
+        success = value !== undefined
+      } else {
+        value = Object.keys(section).join(',')
+      }
+    } else if (name in LOCAL_PARAMETERS) {
+      if (value === '') {
+        value = session.locals[name]
+      } else {
+        session.locals[name] = value
+      }
+    } else {
+      success = false
+    }
+    session.send('%%<setlocal:' + escape(name) + ':' + escape(success && value !== undefined ? value : '') +
+      ':' + success)
+  }
+}
+
+class Session extends events.EventEmitter {
+  constructor (engine, readable, writable) {
+    super()
+    this.engine = engine
+    this.writable = writable
+    this.installs = {}
+    this.watches = new Set()
+    this.locals = { timeout: String(engine.timeout), reenter: 'false', selfwatch: 'false' }
+    this.pending = {}
+    this.role = null
+
+    readable.on('error', () => this.close())
+    const rl = readline.createInterface(readable)
+    rl.on('line', (line) => this._process(line))
+    rl.on('close', () => {
+      for (const id in this.pending) {
+        this.pending[id](null)
+      }
+      this.emit('close')
+    })
+    this.rl = rl
+  }
+
+  send (line) {
+    this.engine.emit('line', '> ' + line, this)
+    if (!this.writable.writableEnded) {
+      this.writable.write(line + '\n')
+    }
+  }
+
+  offer (id, message) {
+    // %%>message:<id>:<time>:<name>:<retvalue>[:<key>=<value>...]
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        delete this.pending[id]
+        this.engine.emit('timeout', message, this)
+        resolve(null)
+      }, parseInt(this.locals.timeout) || this.engine.timeout)
+      this.pending[id] = (answer) => {
+        clearTimeout(timer)
+        delete this.pending[id]
+        resolve(answer)
+      }
+      const outgoing = new Message(message.name, message.params)
+      this.send('%%>message:' + escape(id) + ':' + outgoing._origin + ':' + escape(message.name) +
+        ':' + escape(message.retval) + outgoing.stringify(false, false))
+    })
+  }
+
+  notify (message) {
+    // %%<message::<processed>:<name>:<retvalue>[:<key>=<value>...]
+    const outgoing = new Message(message.name, message.params)
+    this.send('%%<message::' + message.processed + ':' + escape(message.name) +
+      ':' + escape(message.retval) + outgoing.stringify(false, false))
+  }
+
+  close () {
+    if (!this.writable.writableEnded) {
+      this.writable.end()
+    }
+    this.rl.close()
+  }
+
+  _process (line) {
+    this.engine.emit('line', '< ' + line, this)
+    const data = line.split(':')
+    switch (data[0]) {
+      case '%%>message': {
+        const message = new Message()
+        message.parse(line, false)
+        this._answer(message)
+        break
+      }
+      case '%%<message': {
+        // acknowledgement of the message offered to this module
+        const message = new Message()
+        message.parse(line, false)
+        this.engine.emit('acknowledge', message, this)
+        const resolve = this.pending[message._id]
+        if (resolve) {
+          resolve({ processed: message._processed, retval: message._retval, params: message.params })
+        }
+        break
+      }
+      case '%%>install': {
+        // %%>install:[<priority>]:<name>[:<filter-name>[:<filter-value>]]
+        const priority = data[1] ? parseInt(data[1]) : DEFAULT_PRIORITY
+        const name = unescape(data[2])
+        const success = !!name && !(name in this.installs)
+        if (success) {
+          this.installs[name] = {
+            priority,
+            filter: data[3] ? unescape(data[3]) : null,
+            filterValue: data[4] ? unescape(data[4]) : ''
+          }
+        }
+        this.send('%%<install:' + priority + ':' + escape(name) + ':' + success)
+        break
+      }
+      case '%%>uninstall': {
+        // %%<uninstall:<priority>:<name>:<success>
+        const name = unescape(data[1])
+        const install = this.installs[name]
+        delete this.installs[name]
+        this.send('%%<uninstall:' + (install ? install.priority : '') + ':' + escape(name) + ':' + !!install)
+        break
+      }
+      case '%%>watch': {
+        const name = unescape(data[1])
+        const success = !this.watches.has(name)
+        this.watches.add(name)
+        this.send('%%<watch:' + escape(name) + ':' + success)
+        break
+      }
+      case '%%>unwatch': {
+        const name = unescape(data[1])
+        const success = this.watches.delete(name)
+        this.send('%%<unwatch:' + escape(name) + ':' + success)
+        break
+      }
+      case '%%>setlocal':
+        this.engine._setlocal(this, unescape(data[1]), unescape(data[2]))
+        break
+      case '%%>output':
+        this.engine.emit('output', line.substr(data[0].length + 1), this)
+        break
+      case '%%>connect':
+        // %%>connect:<role>[:<id>][:<type>]
+        this.role = data[1]
+        this.channel = data[2] ? unescape(data[2]) : null
+        this.type = data[3] ? unescape(data[3]) : null
+        this.engine.emit('connect', this)
+        break
+      case '%%>quit':
+        this.send('%%<quit')
+        this.close()
+        break
+      default:
+        this.send('Error in: ' + line)
+    }
+  }
+
+  async _answer (message) {
+    // %%<message:<id>:<processed>:[<name>]:<retvalue>[:<key>=<value>...]
+    const result = await this.engine._dispatch(this, message._name, message.params, message._retval)
+    if (!message._id) return
+    const outgoing = new Message(result.name, result.params)
+    this.send('%%<message:' + escape(message._id) + ':' + result.processed + ':' + escape(result.name) +
+      ':' + escape(result.retval) + outgoing.stringify(false, false))
+  }
+}
+
+module.exports = {
+  MockEngine
+}
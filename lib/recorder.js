@@ -0,0 +1,157 @@
+/*
+
+ Recording of protocol traffic and its replay against application handlers
+
+ Recording is a text file, one line per protocol line: <ISO time> <direction> <line>,
+ where direction is '<' for lines received from Yate and '>' for lines sent to it.
+ */
+
+const fs = require('fs')
+const events = require('events')
+const { Connection, Message } = require('../index')
+const { MockEngine } = require('./mock')
+const { RotatingFile } = require('./rotate')
+
+class Recorder {
+  constructor (connection, options) {
+    if (typeof options === 'string') {
+      options = { file: options }
+    }
+    options = options || {}
+    if (!options.file) {
+      throw new Error('file required')
+    }
+    this.connection = connection
+    this.output = new RotatingFile(options.file, options)
+    this.listener = (raw) => this.write(raw[0], raw.substr(2))
+    connection.on('raw', this.listener)
+  }
+
+  write (direction, line, time) {
+    this.output.write((time || new Date()).toISOString() + ' ' + direction + ' ' + line + '\n')
+  }
+
+  close () {
+    this.connection.removeListener('raw', this.listener)
+    return this.output.close()
+  }
+}
+
+function parseRecording (text) {
+  // [{ time, direction, line }], time is ms since epoch
+  return text.split('\n').filter((item) => item).map((item) => {
+    const first = item.indexOf(' ')
+    const second = item.indexOf(' ', first + 1)
+    if (first === -1 || second === -1) {
+      throw new Error(`invalid recording line: ${item}`)
+    }
+    return {
+      time: Date.parse(item.substring(0, first)),
+      direction: item.substring(first + 1, second),
+      line: item.substr(second + 1)
+    }
+  })
+}
+
+class Replay extends events.EventEmitter {
+  constructor (recording, options) {
+    // recording is file name or array of entries
+    super()
+    options = options || {}
+    if (typeof recording === 'string') {
+      recording = parseRecording(fs.readFileSync(recording, 'utf8'))
+    }
+    this.entries = recording
+    // 1 is real time, 10 is ten times faster, Infinity is no pauses at all
+    this.speed = options.speed || 1
+    this.engine = new MockEngine(options.engine)
+    this.streams = this.engine.pipe()
+  }
+
+  connect (options) {
+    // piped connection, ready to subscribe application handlers
+    const connection = new Connection(Object.assign({}, options, this.streams))
+    connection.connect()
+    return connection
+  }
+
+  async run () {
+    // offers recorded messages and compares answers with recorded acknowledgements
+    const session = this.engine.sessions[0]
+    const acknowledgements = {}
+    this.entries.forEach((entry) => {
+      if (entry.direction === '>' && entry.line.startsWith('%%<message:')) {
+        const message = parse(entry.line)
+        acknowledgements[message._id] = message
+      }
+    })
+    const report = { offered: 0, skipped: 0, notified: 0, matched: 0, differences: [] }
+    const offers = []
+    const start = this.entries.length ? this.entries[0].time : 0
+    const started = Date.now()
+    for (const entry of this.entries) {
+      if (entry.direction !== '<') continue
+      const isMessage = entry.line.startsWith('%%>message:')
+      const isNotification = entry.line.startsWith('%%<message::')
+      if (!isMessage && !isNotification) continue
+      const delay = (entry.time - start) / this.speed - (Date.now() - started)
+      if (delay > 0 && this.speed !== Infinity) {
+        await new Promise((resolve) => setTimeout(resolve, delay))
+      }
+      const recorded = parse(entry.line)
+      const message = { name: recorded._name, processed: recorded._processed, retval: recorded._retval, params: recorded.params }
+      if (isNotification) {
+        if (session.watches.has(message.name) || session.watches.has('')) {
+          session.notify(message)
+          report.notified++
+        }
+        continue
+      }
+      if (!session.installs[message.name]) {
+        report.skipped++
+        continue
+      }
+      report.offered++
+      offers.push(session.offer(recorded._id, message).then((answer) => {
+        this._compare(report, recorded, acknowledgements[recorded._id], answer)
+      }))
+    }
+    await Promise.all(offers)
+    return report
+  }
+
+  close () {
+    return this.engine.close()
+  }
+
+  _compare (report, recorded, expected, answer) {
+    const actual = answer && { processed: answer.processed, retval: answer.retval, params: answer.params }
+    const wanted = expected && { processed: expected._processed, retval: expected._retval, params: expected.params }
+    if (same(wanted, actual)) {
+      report.matched++
+      return
+    }
+    const difference = { id: recorded._id, name: recorded._name, expected: wanted || null, actual: actual || null }
+    report.differences.push(difference)
+    this.emit('difference', difference)
+  }
+}
+
+function parse (line) {
+  const message = new Message()
+  message.parse(line, false)
+  return message
+}
+
+function same (a, b) {
+  if (!a || !b) return a === b
+  if (a.processed !== b.processed || a.retval !== b.retval) return false
+  const keys = Object.keys(a.params)
+  return keys.length === Object.keys(b.params).length && keys.every((key) => a.params[key] === b.params[key])
+}
+
+module.exports = {
+  Recorder,
+  Replay,
+  parseRecording
+}
@@ -0,0 +1,135 @@
+/*
+
+ Location service: user.auth, user.register, user.unregister and call.route, like regfile module
+
+ Yate checks digest itself, user.auth handler only returns password as retval.
+ See https://docs.yate.ro/wiki/User.auth and https://docs.yate.ro/wiki/User.register
+ */
+
+const events = require('events')
+const fs = require('fs')
+
+// used when user.register has no expires
+const EXPIRES = 600
+
+class Registrar extends events.EventEmitter {
+  constructor (connection, options) {
+    super()
+    options = options || {}
+    this.connection = connection
+    this.priority = options.priority || 100
+    this.expires = options.expires || EXPIRES
+    this.users = options.users || {}
+    this.credentials = null
+    // no prototype, so that names like 'constructor' are not taken for registrations
+    this.registrations = Object.create(null)
+    if (typeof this.users === 'string') {
+      this.reload()
+    }
+
+    this.listeners = {
+      'user.auth': async (params, retval, next) => {
+        const user = await this.lookup(params.username, params)
+        if (!user || user.password === undefined) return next()
+        return String(user.password)
+      },
+      'user.register': async (params, retval, next) => {
+        const user = await this.lookup(params.username, params)
+        if (!user) return next()
+        this._register(params)
+        return ''
+      },
+      'user.unregister': (params, retval, next) => {
+        if (!this.registrations[params.username]) return next()
+        this._unregister(params.username, 'unregister')
+        return ''
+      },
+      'call.route': (params, retval, next) => {
+        const registration = this.registrations[params.called]
+        if (!registration) return next()
+        if (registration.connection_id) {
+          // route through the same listener as the one used for registration
+          params.oconnection_id = registration.connection_id
+        }
+        return registration.data
+      }
+    }
+    this.installed = Promise.all(Object.keys(this.listeners)
+      .map((name) => connection.subscribe(name, this.priority, this.listeners[name])))
+  }
+
+  async lookup (username, params) {
+    // resolves to user object with password or null; backend may return password only
+    if (!username) return null
+    let user
+    if (typeof this.users === 'function') {
+      user = await this.users(username, params)
+    } else {
+      const credentials = this.credentials || this.users
+      user = Object.prototype.hasOwnProperty.call(credentials, username) ? credentials[username] : null
+    }
+    if (user === null || user === undefined || user === false) return null
+    return typeof user === 'object' ? user : { password: user }
+  }
+
+  reload () {
+    // reread users file, previous users stay on error
+    try {
+      this.credentials = JSON.parse(fs.readFileSync(this.users, 'utf8'))
+    } catch (error) {
+      if (!this.credentials) throw error
+      this.emit('error', error)
+      return false
+    }
+    return true
+  }
+
+  get (username) {
+    return this.registrations[username] || null
+  }
+
+  close () {
+    for (const username in this.registrations) {
+      clearTimeout(this.registrations[username].timer)
+    }
+    return Promise.all(Object.keys(this.listeners)
+      .map((name) => this.connection.unsubscribe(name, this.listeners[name])))
+  }
+
+  _register (params) {
+    const username = params.username
+    const previous = this.registrations[username]
+    if (previous) {
+      clearTimeout(previous.timer)
+    }
+    const expires = parseFloat(params.expires) || this.expires
+    const registration = {
+      username,
+      data: params.data,
+      expires: Date.now() + expires * 1000,
+      driver: params.driver,
+      ip_host: params.ip_host,
+      ip_port: params.ip_port,
+      connection_id: params.connection_id
+    }
+    // setTimeout is limited to 2^31 ms
+    registration.timer = setTimeout(() => this._unregister(username, 'expired'), Math.min(expires * 1000, 0x7fffffff))
+    this.registrations[username] = registration
+    if (!previous) {
+      this.emit('online', username, registration)
+    } else if (previous.data !== registration.data) {
+      this.emit('update', username, registration)
+    }
+  }
+
+  _unregister (username, reason) {
+    const registration = this.registrations[username]
+    delete this.registrations[username]
+    clearTimeout(registration.timer)
+    this.emit('offline', username, registration, reason)
+  }
+}
+
+module.exports = {
+  Registrar
+}
@@ -0,0 +1,67 @@
+/*
+
+ Append-only file, rotated by size: file -> file.1 -> file.2 ... up to maxFiles
+ */
+
+const fs = require('fs')
+
+const MAX_SIZE = 10 * 1024 * 1024
+const MAX_FILES = 5
+
+class RotatingFile {
+  constructor (file, options) {
+    options = options || {}
+    this.file = file
+    this.maxSize = options.maxSize || MAX_SIZE
+    this.maxFiles = options.maxFiles === undefined ? MAX_FILES : options.maxFiles
+    // written at the beginning of every new file, e.g. CSV header
+    this.header = options.header || ''
+    this.size = fs.existsSync(file) ? fs.statSync(file).size : 0
+    this.stream = this._open()
+  }
+
+  write (string) {
+    const length = Buffer.byteLength(string)
+    // file with header only is not rotated, even if record doesn't fit
+    if (this.size > Buffer.byteLength(this.header) && this.size + length > this.maxSize) {
+      this._rotate()
+    }
+    this.size += length
+    this.stream.write(string)
+  }
+
+  close () {
+    return new Promise((resolve) => this.stream.end(resolve))
+  }
+
+  _rotate () {
+    // data written so far still goes to renamed file until stream is flushed
+    this.stream.end()
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      if (fs.existsSync(`${this.file}.${i}`)) {
+        fs.renameSync(`${this.file}.${i}`, `${this.file}.${i + 1}`)
+      }
+    }
+    if (this.maxFiles > 0) {
+      fs.renameSync(this.file, this.file + '.1')
+    } else {
+      fs.unlinkSync(this.file)
+    }
+    this.size = 0
+    this.stream = this._open()
+  }
+
+  _open () {
+    // file is opened synchronously, so that it exists if rotated right away
+    const stream = fs.createWriteStream(null, { fd: fs.openSync(this.file, 'a') })
+    if (!this.size && this.header) {
+      this.size = Buffer.byteLength(this.header)
+      stream.write(this.header)
+    }
+    return stream
+  }
+}
+
+module.exports = {
+  RotatingFile
+}
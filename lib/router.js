@@ -0,0 +1,214 @@
+/*
+
+ call.route handler driven by ordered table of rules
+
+ Rule:
+ {
+   name: 'office hours',
+   match: { called: '^1(\\d{2})$', context: 'default' },   // regexps (strings or RegExp), arrays of them, or functions
+   time: { days: [1, 2, 3, 4, 5], from: '09:00', to: '18:00' },
+   lookup: 'users',                                        // name of async lookup, or function(params, vars)
+   target: 'sip/sip:${called.1}@${host}',                  // retval
+   params: { maxcall: '20000' },                           // param overrides
+ }
+
+ First matching rule with target routes the call, rules without target only set params.
+ */
+
+const events = require('events')
+const fs = require('fs')
+const path = require('path')
+
+const CALL_ROUTE = 'call.route'
+const TEMPLATE = /\$\{([^}]+)\}/g
+
+class Router extends events.EventEmitter {
+  constructor (connection, options) {
+    super()
+    options = options || {}
+    this.connection = connection
+    this.priority = options.priority || 100
+    this.lookups = options.lookups || {}
+    this.file = options.file
+    this.parse = options.parse
+    this.rules = []
+    if (options.rules) {
+      this.load(options.rules)
+    } else if (this.file) {
+      this.load(this._read())
+    }
+    this.listener = async (message, retval, next) => {
+      const result = await this.route(message.params)
+      if (!result) return next()
+      Object.assign(message.params, result.params)
+      return result.retval
+    }
+    this.installed = connection ? connection.subscribe(CALL_ROUTE, this.priority, this.listener) : null
+  }
+
+  load (rules) {
+    // rules are compiled first, so that invalid table doesn't replace working one
+    if (!Array.isArray(rules)) {
+      throw new Error('rules must be an array')
+    }
+    this.rules = rules.map(compile)
+    this.emit('load', this.rules.length)
+  }
+
+  reload () {
+    // reread file, old rules stay if new ones are invalid; subscription is not touched
+    try {
+      this.load(this._read())
+    } catch (error) {
+      this.emit('error', error)
+      return false
+    }
+    return true
+  }
+
+  async route (params, options) {
+    // evaluates rules, also for dry run without connection; resolves to { rule, retval, params } or null
+    const now = (options && options.now) || new Date()
+    const overrides = {}
+    for (const rule of this.rules) {
+      const current = Object.assign({}, params, overrides)
+      const vars = match(rule, current, now)
+      if (!vars) continue
+      if (rule.lookup) {
+        const lookup = typeof rule.lookup === 'function' ? rule.lookup : this.lookups[rule.lookup]
+        if (!lookup) {
+          throw new Error(`lookup ${rule.lookup} is not defined`)
+        }
+        const found = await lookup(current, vars)
+        if (!found) continue
+        if (typeof found === 'object') {
+          Object.assign(vars, found)
+        }
+      }
+      for (const key in rule.params) {
+        overrides[key] = substitute(rule.params[key], vars, current)
+      }
+      if (rule.target !== undefined) {
+        return { rule: rule.name, retval: substitute(rule.target, vars, current), params: overrides }
+      }
+    }
+    return null
+  }
+
+  close () {
+    if (!this.connection) return Promise.resolve()
+    return this.connection.unsubscribe(CALL_ROUTE, this.listener)
+  }
+
+  _read () {
+    const text = fs.readFileSync(this.file, 'utf8')
+    if (this.parse) {
+      return this.parse(text)
+    }
+    if (['.yaml', '.yml'].includes(path.extname(this.file))) {
+      return yaml().parse(text)
+    }
+    return JSON.parse(text)
+  }
+}
+
+function yaml () {
+  // optional dependency, needed only for YAML rule files
+  try {
+    return require('yaml')
+  } catch (error) {
+    throw new Error('yaml package is required to load YAML rules, or give parse option')
+  }
+}
+
+function compile (rule, index) {
+  const name = rule.name || String(index + 1)
+  const conditions = Object.keys(rule.match || {}).map((key) => {
+    const patterns = [].concat(rule.match[key]).map((pattern) => {
+      if (typeof pattern === 'function' || pattern instanceof RegExp) return pattern
+      try {
+        return new RegExp(pattern)
+      } catch (error) {
+        throw new Error(`rule ${name}: ${error.message}`)
+      }
+    })
+    return { key, patterns }
+  })
+  let time = null
+  if (rule.time) {
+    time = {
+      days: rule.time.days || null,
+      from: minutes(rule.time.from || '00:00', name),
+      to: minutes(rule.time.to || '24:00', name)
+    }
+  }
+  return { name, conditions, time, lookup: rule.lookup, target: rule.target, params: rule.params || {} }
+}
+
+function minutes (string, name) {
+  const found = /^(\d{1,2}):(\d{2})$/.exec(string)
+  if (!found) {
+    throw new Error(`rule ${name}: invalid time ${string}, HH:MM expected`)
+  }
+  return parseInt(found[1]) * 60 + parseInt(found[2])
+}
+
+function match (rule, params, now) {
+  // resolves to variables for substitution, or null
+  if (rule.time) {
+    if (rule.time.days && !rule.time.days.includes(now.getDay())) return null
+    const current = now.getHours() * 60 + now.getMinutes()
+    const { from, to } = rule.time
+    // range like 22:00-06:00 goes over midnight
+    const inside = from <= to ? (current >= from && current < to) : (current >= from || current < to)
+    if (!inside) return null
+  }
+  const vars = {}
+  for (const { key, patterns } of rule.conditions) {
+    const value = get(params, key)
+    const string = value === undefined ? '' : String(value)
+    let found = null
+    for (const pattern of patterns) {
+      if (typeof pattern === 'function') {
+        found = pattern(string, params) ? [string] : null
+      } else {
+        found = pattern.exec(string)
+      }
+      if (found) break
+    }
+    if (!found) return null
+    found.forEach((capture, i) => {
+      vars[key + '.' + i] = capture === undefined ? '' : capture
+    })
+    Object.assign(vars, found.groups)
+  }
+  return vars
+}
+
+function get (params, key) {
+  // params may be decorated, i.e. dotted keys made objects
+  if (key in params) return unwrap(params[key])
+  let value = params
+  for (const segment of key.split('.')) {
+    if (value === null || typeof value !== 'object' || !(segment in value)) return undefined
+    value = value[segment]
+  }
+  return unwrap(value)
+}
+
+function unwrap (value) {
+  return value !== null && typeof value === 'object' ? value.value : value
+}
+
+function substitute (template, vars, params) {
+  // ${name} is capture or lookup result, then message parameter
+  if (typeof template !== 'string') return template
+  return template.replace(TEMPLATE, (all, name) => {
+    const value = name in vars ? vars[name] : get(params, name)
+    return value === undefined || value === null ? '' : String(value)
+  })
+}
+
+module.exports = {
+  Router
+}
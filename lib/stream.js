@@ -0,0 +1,80 @@
+/*
+
+ Watched messages as object mode stream
+ */
+
+const stream = require('stream')
+
+const MAX_BUFFER = 10000
+
+class MessageStream extends stream.Readable {
+  constructor (connection, name, options) {
+    options = options || {}
+    super({ objectMode: true, highWaterMark: options.highWaterMark })
+    this.connection = connection
+    this.name = name
+    this.filter = matcher(options.filter)
+    // Yate can't be paused, so messages over the limit are dropped while consumer is slow
+    this.maxBuffer = options.maxBuffer || MAX_BUFFER
+    this.dropped = 0
+    this.listener = (message, retval) => {
+      const params = message.params
+      if (!this.filter(params, retval)) return
+      if (this.readableLength >= this.maxBuffer) {
+        this.dropped++
+        this.emit('drop', { name, retval, params })
+        return
+      }
+      this.push({ name, retval, params })
+    }
+    this.onUnwatch = (unwatched) => {
+      // listener is already removed
+      if (unwatched === name) this._end(false)
+    }
+    this.onDisconnect = () => this._end(true)
+    connection.on('unwatch', this.onUnwatch)
+    connection.on('disconnect', this.onDisconnect)
+    this.watched = connection.watch(name, this.listener)
+    this.watched.catch((error) => this.destroy(error))
+  }
+
+  _read () {
+    // messages are pushed as they come
+  }
+
+  _destroy (error, callback) {
+    this._detach(true)
+    callback(error)
+  }
+
+  _end (unwatch) {
+    // consumer gets buffered messages first
+    this._detach(unwatch)
+    this.push(null)
+  }
+
+  _detach (unwatch) {
+    if (!this.listener) return
+    this.connection.removeListener('unwatch', this.onUnwatch)
+    this.connection.removeListener('disconnect', this.onDisconnect)
+    if (unwatch) {
+      this.connection.unwatch(this.name, this.listener)
+    }
+    this.listener = null
+  }
+}
+
+function matcher (filter) {
+  // function(params, retval), or object of top level parameters to match, values are strings or RegExps
+  if (typeof filter === 'function') return filter
+  if (!filter) return () => true
+  return (params) => Object.keys(filter).every((key) => {
+    const expected = filter[key]
+    const value = params[key]
+    return expected instanceof RegExp ? expected.test(value === undefined ? '' : String(value)) : String(expected) === value
+  })
+}
+
+module.exports = {
+  MessageStream
+}
@@ -0,0 +1,174 @@
+/*
+
+ Minimal server side of WebSocket protocol: text messages, ping and close
+
+ See https://www.rfc-editor.org/rfc/rfc6455
+ */
+
+const crypto = require('crypto')
+const events = require('events')
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'
+const MAX_PAYLOAD = 1024 * 1024
+
+const OPCODES = {
+  continuation: 0x0,
+  text: 0x1,
+  binary: 0x2,
+  close: 0x8,
+  ping: 0x9,
+  pong: 0xa
+}
+
+class WebSocket extends events.EventEmitter {
+  constructor (socket, options) {
+    super()
+    options = options || {}
+    this.socket = socket
+    this.maxPayload = options.maxPayload || MAX_PAYLOAD
+    this.buffer = Buffer.alloc(0)
+    this.fragments = []
+    this.closed = false
+    socket.on('data', (data) => this._receive(data))
+    socket.on('error', (error) => this.emit('error', error))
+    // http server keeps upgraded sockets half open
+    socket.on('end', () => socket.end())
+    socket.on('close', () => {
+      this.closed = true
+      this.emit('close')
+    })
+  }
+
+  send (string) {
+    if (this.closed) return
+    this._frame(OPCODES.text, Buffer.from(string))
+  }
+
+  close (code, reason) {
+    if (this.closed) return
+    const payload = Buffer.alloc(2)
+    payload.writeUInt16BE(code || 1000)
+    this._frame(OPCODES.close, Buffer.concat([payload, Buffer.from(reason || '')]))
+    this.closed = true
+    this.socket.end()
+  }
+
+  _frame (opcode, payload) {
+    // server frames are not masked
+    let header
+    if (payload.length < 126) {
+      header = Buffer.from([0, payload.length])
+    } else if (payload.length < 0x10000) {
+      header = Buffer.alloc(4)
+      header[1] = 126
+      header.writeUInt16BE(payload.length, 2)
+    } else {
+      header = Buffer.alloc(10)
+      header[1] = 127
+      // payload is never longer than 2^53, so two 32-bit halves do
+      header.writeUInt32BE(Math.floor(payload.length / 0x100000000), 2)
+      header.writeUInt32BE(payload.length >>> 0, 6)
+    }
+    header[0] = 0x80 | opcode
+    this.socket.write(Buffer.concat([header, payload]))
+  }
+
+  _receive (data) {
+    this.buffer = Buffer.concat([this.buffer, data])
+    while (!this.closed) {
+      const frame = this._parse()
+      if (!frame) return
+      this._handle(frame)
+    }
+  }
+
+  _parse () {
+    const buffer = this.buffer
+    if (buffer.length < 2) return null
+    const fin = (buffer[0] & 0x80) !== 0
+    const opcode = buffer[0] & 0x0f
+    const masked = (buffer[1] & 0x80) !== 0
+    let length = buffer[1] & 0x7f
+    let offset = 2
+    if (length === 126) {
+      if (buffer.length < 4) return null
+      length = buffer.readUInt16BE(2)
+      offset = 4
+    } else if (length === 127) {
+      if (buffer.length < 10) return null
+      length = buffer.readUInt32BE(2) * 0x100000000 + buffer.readUInt32BE(6)
+      offset = 10
+    }
+    if (length > this.maxPayload) {
+      this.close(1009, 'message too big')
+      return null
+    }
+    if (!masked) {
+      // clients must mask frames
+      this.close(1002, 'frame not masked')
+      return null
+    }
+    if (buffer.length < offset + 4 + length) return null
+    const mask = buffer.subarray(offset, offset + 4)
+    const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length))
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= mask[i % 4]
+    }
+    this.buffer = buffer.subarray(offset + 4 + length)
+    return { fin, opcode, payload }
+  }
+
+  _handle ({ fin, opcode, payload }) {
+    if (opcode === OPCODES.close) {
+      this.close(payload.length >= 2 ? payload.readUInt16BE(0) : 1000)
+    } else if (opcode === OPCODES.ping) {
+      this._frame(OPCODES.pong, payload)
+    } else if (opcode === OPCODES.pong) {
+      // nothing to do
+    } else {
+      if (opcode !== OPCODES.continuation) {
+        this.fragments = []
+        this.binary = opcode === OPCODES.binary
+      }
+      this.fragments.push(payload)
+      const size = this.fragments.reduce((sum, fragment) => sum + fragment.length, 0)
+      if (size > this.maxPayload) {
+        this.close(1009, 'message too big')
+        return
+      }
+      if (!fin) return
+      const message = Buffer.concat(this.fragments)
+      this.fragments = []
+      this.emit('message', this.binary ? message : message.toString())
+    }
+  }
+}
+
+function accept (req, socket, head, options) {
+  // completes upgrade request, returns WebSocket or null if request is not valid
+  const key = req.headers['sec-websocket-key']
+  if (req.method !== 'GET' || !key || String(req.headers.upgrade).toLowerCase() !== 'websocket') {
+    reject(socket, 400, 'Bad Request')
+    return null
+  }
+  const hash = crypto.createHash('sha1').update(key + GUID).digest('base64')
+  socket.write('HTTP/1.1 101 Switching Protocols\r\n' +
+    'Upgrade: websocket\r\n' +
+    'Connection: Upgrade\r\n' +
+    'Sec-WebSocket-Accept: ' + hash + '\r\n\r\n')
+  const ws = new WebSocket(socket, options)
+  if (head && head.length) {
+    ws._receive(head)
+  }
+  return ws
+}
+
+function reject (socket, status, text) {
+  socket.end(`HTTP/1.1 ${status} ${text}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`)
+}
+
+module.exports = {
+  WebSocket,
+  accept,
+  reject
+}
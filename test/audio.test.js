@@ -0,0 +1,44 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const stream = require('node:stream')
+const { Connection } = require('..')
+const { AudioOutput } = require('../lib/audio')
+
+test('audio output is paced by frames', async () => {
+  const destination = new stream.PassThrough()
+  const times = []
+  const frames = []
+  destination.on('data', (frame) => {
+    times.push(Date.now())
+    frames.push(frame)
+  })
+  const output = new AudioOutput(destination, { frameSize: 4, interval: 20 })
+  const started = Date.now()
+  output.write(Buffer.from([1, 2, 3, 4, 5, 6]))
+  output.write(Buffer.from([7, 8, 9, 10, 11, 12, 13, 14, 15]))
+  output.end()
+  await stream.promises.finished(output)
+
+  assert.deepEqual(frames.map((frame) => [...frame]), [
+    [1, 2, 3, 4], [5, 6, 7, 8], [9, 10, 11, 12], [13, 14, 15, 0]
+  ])
+  const elapsed = times[times.length - 1] - started
+  assert.ok(elapsed >= 55, `4 frames took ${elapsed} ms`)
+  assert.ok(elapsed < 200, `4 frames took ${elapsed} ms`)
+})
+
+test('channel mode audio streams', async () => {
+  const input = new stream.PassThrough()
+  const output = new stream.PassThrough()
+  const audioIn = new stream.PassThrough()
+  const audioOut = new stream.PassThrough()
+  const connection = new Connection({ input, output, audio: { input: audioIn, output: audioOut } })
+  assert.equal(connection.audioIn, audioIn)
+  assert.ok(connection.audioOut instanceof AudioOutput)
+
+  const received = []
+  audioOut.on('data', (frame) => received.push(frame.length))
+  connection.audioOut.end(Buffer.alloc(640))
+  await stream.promises.finished(connection.audioOut)
+  assert.deepEqual(received, [320, 320])
+})
@@ -0,0 +1,79 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { Calls } = require('..')
+const { piped } = require('./engine')
+
+async function setup () {
+  const { engine, connection } = piped()
+  const dispatched = []
+  engine.on('dispatched', (message) => dispatched.push(message))
+  const calls = new Calls(connection)
+  await new Promise((resolve) => connection.once('connect', resolve))
+  return { engine, connection, calls, dispatched }
+}
+
+test('call control messages', async () => {
+  const { engine, calls, dispatched } = await setup()
+  engine.handle('call.answered', () => true)
+  engine.handle('call.drop', () => true)
+  engine.handle('chan.masquerade', (params) => {
+    if (params.message === 'chan.attach') {
+      setImmediate(() => engine.message('chan.notify', { targetid: params.notify, reason: 'eof' }))
+    }
+    return true
+  })
+
+  const call = calls.get('sip/1', { caller: '100' })
+  assert.equal(calls.get('sip/1'), call)
+  await call.answer()
+  await call.play('/tmp/hello.slin')
+  await call.transfer('sip/sip:200@10.0.0.1')
+  await call.hangup('busy')
+
+  const names = dispatched.map((message) => [message.name, message.params.message].filter(Boolean).join('/'))
+  assert.deepEqual(names, ['call.answered', 'chan.masquerade/chan.attach', 'chan.notify',
+    'chan.masquerade/call.execute', 'call.drop'])
+  assert.equal(dispatched[1].params.source, 'wave/play//tmp/hello.slin')
+  assert.equal(dispatched[3].params.callto, 'sip/sip:200@10.0.0.1')
+  assert.equal(dispatched[4].params.reason, 'busy')
+  await engine.close()
+})
+
+test('collect digits', async () => {
+  const { engine, calls } = await setup()
+  const call = calls.get('sip/2')
+  const dtmf = []
+  call.on('dtmf', (text) => dtmf.push(text))
+
+  await engine.message('chan.dtmf', { id: 'sip/2', text: '1' })
+  await engine.message('chan.dtmf', { id: 'sip/3', text: '9' })
+  const collected = call.collectDigits({ max: 4, timeout: 1000 })
+  await engine.message('chan.dtmf', { id: 'sip/2', text: '23' })
+  await engine.message('chan.dtmf', { id: 'sip/2', text: '#' })
+  assert.equal(await collected, '123')
+  assert.deepEqual(dtmf, ['1', '23', '#'])
+
+  assert.equal(await call.collectDigits({ timeout: 50 }), '')
+  await engine.close()
+})
+
+test('hangup cleans up', async () => {
+  const { engine, calls } = await setup()
+  engine.handle('chan.masquerade', () => true)
+  const call = calls.get('sip/4')
+  let hangup = null
+  call.on('hangup', (params) => {
+    hangup = params
+  })
+  const collected = call.collectDigits({ timeout: 1000 })
+  const played = call.play('/tmp/long.slin')
+  await new Promise((resolve) => setImmediate(resolve))
+  await engine.message('chan.hangup', { id: 'sip/4', reason: 'normal' })
+  await assert.rejects(collected, /hangup/)
+  await assert.rejects(played, /hangup/)
+  assert.equal(hangup.reason, 'normal')
+  assert.equal(call.ended, true)
+  assert.notEqual(calls.get('sip/4'), call)
+  await assert.rejects(call.answer(), /ended/)
+  await engine.close()
+})
@@ -0,0 +1,100 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('node:fs')
+const os = require('node:os')
+const path = require('node:path')
+const stream = require('node:stream')
+const { CdrCollector, JsonSink, CsvSink } = require('..')
+const { piped } = require('./engine')
+
+function setup (options) {
+  const { engine, connection } = piped()
+  const collector = new CdrCollector(connection, options)
+  return { engine, connection, collector }
+}
+
+function cdr (engine, operation, params) {
+  return engine.message('call.cdr', Object.assign({ operation, billid: '1700000000-1', chan: 'sip/1' }, params))
+}
+
+test('aggregate cdr operations into record', async () => {
+  const records = []
+  const { engine, collector } = setup({ sinks: [(record) => records.push(record)] })
+  await collector.watched
+  await cdr(engine, 'initialize', { time: '1700000000.5', caller: '100', called: '200', status: 'incoming' })
+  await cdr(engine, 'update', { status: 'ringing', ringtime: '2.1' })
+  await cdr(engine, 'initialize', { chan: 'sip/2', caller: '100', called: '300' })
+  await cdr(engine, 'finalize', { status: 'answered', duration: '12.5', billtime: '10.4' })
+  await new Promise((resolve) => setImmediate(resolve))
+
+  assert.deepEqual(records, [{
+    billid: '1700000000-1',
+    chan: 'sip/1',
+    time: 1700000000.5,
+    caller: '100',
+    called: '200',
+    status: 'answered',
+    ringtime: 2.1,
+    duration: 12.5,
+    billtime: 10.4,
+    incomplete: false
+  }])
+
+  // calls left open are written as incomplete
+  await collector.close()
+  await new Promise((resolve) => setImmediate(resolve))
+  assert.equal(records.length, 2)
+  assert.equal(records[1].chan, 'sip/2')
+  assert.equal(records[1].incomplete, true)
+  assert.equal(records[1].reason, 'timeout')
+  await engine.close()
+})
+
+test('records of calls which never finalize time out', async () => {
+  const { engine, collector } = setup({ timeout: 30 })
+  await collector.watched
+  await cdr(engine, 'initialize', { caller: '100' })
+  const [record] = await new Promise((resolve) => collector.once('cdr', (...args) => resolve(args)))
+  assert.equal(record.incomplete, true)
+  assert.equal(record.caller, '100')
+  assert.deepEqual(collector.records, {})
+  await collector.close()
+  await engine.close()
+})
+
+test('json and csv sinks', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'yate-cdr-'))
+  const file = path.join(dir, 'cdr.csv')
+  const lines = new stream.PassThrough()
+  let json = ''
+  lines.on('data', (chunk) => { json += chunk })
+  const { engine, collector } = setup({
+    sinks: [new JsonSink(lines), new CsvSink(file, { fields: ['billid', 'caller', 'duration'], maxSize: 60, maxFiles: 1 })]
+  })
+  await collector.watched
+  await cdr(engine, 'finalize', { caller: 'John "Doe", jr', duration: '1' })
+  await cdr(engine, 'finalize', { billid: '1700000000-2', caller: '101', duration: '2' })
+  await collector.close()
+
+  assert.deepEqual(json.trim().split('\n').map((line) => JSON.parse(line).caller), ['John "Doe", jr', '101'])
+  assert.equal(fs.readFileSync(file + '.1', 'utf8'), 'billid,caller,duration\n1700000000-1,"John ""Doe"", jr",1\n')
+  assert.equal(fs.readFileSync(file, 'utf8'), 'billid,caller,duration\n1700000000-2,101,2\n')
+  fs.rmSync(dir, { recursive: true })
+  await engine.close()
+})
+
+test('close writes open records to file sinks', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'yate-cdr-'))
+  const file = path.join(dir, 'cdr.json')
+  const { engine, collector } = setup({ sinks: [new JsonSink(file)] })
+  await collector.watched
+  await cdr(engine, 'initialize', { caller: '100' })
+  await new Promise((resolve) => setImmediate(resolve))
+  await collector.close()
+
+  const [record] = fs.readFileSync(file, 'utf8').trim().split('\n').map((line) => JSON.parse(line))
+  assert.equal(record.caller, '100')
+  assert.equal(record.incomplete, true)
+  fs.rmSync(dir, { recursive: true })
+  await engine.close()
+})
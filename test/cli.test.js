@@ -0,0 +1,79 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const stream = require('node:stream')
+const { main, Shell, tokenize } = require('../lib/cli')
+const { serving } = require('./engine')
+
+function sink () {
+  const output = new stream.PassThrough()
+  output.text = ''
+  output.on('data', (chunk) => { output.text += chunk })
+  return output
+}
+
+async function engine () {
+  const result = await serving({ config: { telephony: { prefix: '7' } } })
+  result.engine.onCommand('status', 'name=engine,type=system\n')
+  result.engine.handle('test.message', () => ({ retval: 'ok', params: { reply: 'yes' } }))
+  return result
+}
+
+test('tokenize command line', () => {
+  assert.deepEqual(tokenize('dispatch  my.message a=1 "b=two words" \'c=\''), ['dispatch', 'my.message', 'a=1', 'b=two words', 'c='])
+  assert.deepEqual(tokenize('   '), [])
+})
+
+test('one-shot commands with JSON output', async () => {
+  const { engine: mock, port } = await engine()
+  const output = sink()
+  const error = sink()
+  const code = await main([
+    '--port', String(port), '--json',
+    '-e', 'command status',
+    '-e', 'getlocal engine.version',
+    '-e', 'getlocal trackparam',
+    '-e', 'getconfig telephony',
+    'dispatch', 'test.message', 'text=two words'
+  ], { output, error })
+  assert.equal(code, 0, error.text)
+  assert.deepEqual(output.text.trim().split('\n').map((line) => JSON.parse(line)), [
+    { command: 'command', result: 'name=engine,type=system' },
+    { command: 'getlocal', result: '6.4.0' },
+    { command: 'getlocal', result: 'nodejs' },
+    { command: 'getconfig', result: { prefix: '7' } },
+    { command: 'dispatch', result: { retval: 'ok', params: { text: 'two words', reply: 'yes' } } }
+  ])
+
+  const failed = await main(['--port', String(port), 'dispatch', 'unknown.message'], { output, error })
+  assert.equal(failed, 1)
+  assert.match(error.text, /dispatch unknown.message: not processed/)
+  await mock.close()
+})
+
+test('interactive shell with watch filter', async () => {
+  const { engine: mock, port } = await engine()
+  const input = new stream.PassThrough()
+  const output = sink()
+  const error = sink()
+  const done = main(['--port', String(port)], { input, output, error })
+  await new Promise((resolve) => mock.once('session', resolve))
+  input.write('watch chan.notify targetid~^sip/\n')
+  input.write('bogus\n')
+  await new Promise((resolve) => setTimeout(resolve, 100))
+  await mock.message('chan.notify', { targetid: 'iax/1' })
+  await mock.message('chan.notify', { targetid: 'sip/1' })
+  await new Promise((resolve) => setTimeout(resolve, 100))
+  input.write('quit\n')
+  assert.equal(await done, 0)
+  assert.match(error.text, /unknown command bogus/)
+  assert.match(output.text, /targetid: 'sip\/1'/)
+  assert.doesNotMatch(output.text, /iax/)
+  await mock.close()
+})
+
+test('tab completion', () => {
+  const shell = new Shell({}, { output: sink() })
+  assert.deepEqual(shell.complete('get'), [['getlocal', 'getconfig'], 'get'])
+  assert.deepEqual(shell.complete('getlocal engine.ver'), [['engine.version'], 'engine.ver'])
+  assert.deepEqual(shell.complete('getlocal time'), [['timeout', 'timebomb'], 'time'])
+})
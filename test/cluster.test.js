@@ -0,0 +1,98 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { Connection, Cluster } = require('..')
+const { serving } = require('./engine')
+
+async function engines (count) {
+  const result = []
+  for (let i = 0; i < count; i++) {
+    const { engine, port } = await serving({ engine: { nodename: 'node' + i } })
+    engine.handle('test.message', () => 'node' + i)
+    result.push({ engine, port })
+  }
+  return result
+}
+
+function connected (cluster, count) {
+  return new Promise((resolve) => {
+    const nodes = []
+    cluster.on('connect', (node) => {
+      nodes.push(node)
+      if (nodes.length === count) resolve(nodes)
+    })
+  })
+}
+
+async function close (cluster, list) {
+  cluster.nodes.forEach((node) => {
+    node.connection.reconnect = false
+  })
+  await Promise.all(list.map(({ engine }) => engine.close()))
+}
+
+test('round robin dispatch and node names', async () => {
+  const list = await engines(2)
+  const cluster = new Cluster(list.map(({ port }) => ({ port, reconnect: false })))
+  const ready = connected(cluster, 2)
+  cluster.connect()
+  const nodes = await ready
+  assert.deepEqual(nodes.map((node) => node.name).sort(), ['node0', 'node1'])
+
+  const results = []
+  for (let i = 0; i < 4; i++) {
+    results.push((await cluster.dispatch('test.message')).retval)
+  }
+  assert.deepEqual(results.slice().sort(), ['node0', 'node0', 'node1', 'node1'])
+  assert.notEqual(results[0], results[1])
+  await close(cluster, list)
+})
+
+test('sticky dispatch', async () => {
+  const list = await engines(3)
+  const cluster = new Cluster(list.map(({ port }) => ({ port, reconnect: false })), { strategy: 'sticky', key: 'billid' })
+  const ready = connected(cluster, 3)
+  cluster.connect()
+  await ready
+  for (const billid of ['1', '2', '3', '4']) {
+    const first = await cluster.dispatch('test.message', { billid })
+    const second = await cluster.dispatch('test.message', { billid })
+    assert.equal(first.retval, second.retval)
+  }
+  await close(cluster, list)
+})
+
+test('mirrored subscriptions are tagged with node', async () => {
+  const list = await engines(2)
+  const cluster = new Cluster(list.map(({ port }) => ({ port, reconnect: false })))
+  const ready = connected(cluster, 2)
+  const seen = []
+  cluster.subscribe('call.route', (message, retval, next, node) => {
+    seen.push(node.name)
+    return 'sip/' + node.name
+  })
+  cluster.connect()
+  await ready
+  const results = await Promise.all(list.map(({ engine }) => engine.message('call.route', { called: '1' })))
+  assert.deepEqual(results.map((result) => result.retval), ['sip/node0', 'sip/node1'])
+  assert.deepEqual(seen.sort(), ['node0', 'node1'])
+  await close(cluster, list)
+})
+
+test('messages wait for healthy node', async () => {
+  const list = await engines(1)
+  const down = new Connection({ port: 1, reconnect: false })
+  down.on('error', () => {})
+  const cluster = new Cluster([down, { port: list[0].port, reconnect: false }])
+  cluster.on('error', () => {})
+  // queued on a node which never comes up
+  const stuck = down.dispatch('test.message')
+  // queued in cluster while nobody is up
+  const waiting = cluster.dispatch('test.message')
+  const ready = connected(cluster, 1)
+  cluster.connect()
+  await ready
+  assert.equal((await waiting).retval, 'node0')
+  assert.equal((await stuck).retval, 'node0')
+  assert.equal(down.queue.length, 0)
+  await close(cluster, list)
+})
@@ -0,0 +1,152 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { yatefy, beautify } = require('..')
+
+const DOTTED = {
+  'CalledPartyAddress.route': 'gt',
+  'CalledPartyAddress.pointcode': '2002',
+  'CalledPartyAddress.gt.nature': 'international',
+  'CalledPartyAddress.gt.plan': 'isdn',
+  'CalledPartyAddress.gt.translation': '0',
+  'CalledPartyAddress.gt.encoding': 'bcd',
+  'CalledPartyAddress.gt': '2002',
+  'CalledPartyAddress.ssn': '6'
+}
+
+const NESTED = {
+  CalledPartyAddress: {
+    route: 'gt',
+    pointcode: '2002',
+    gt: {
+      nature: 'international',
+      plan: 'isdn',
+      translation: '0',
+      encoding: 'bcd',
+      value: '2002'
+    },
+    ssn: '6'
+  }
+}
+
+test('beautify dotted keys', () => {
+  assert.deepEqual(beautify(DOTTED), NESTED)
+})
+
+test('beautify root value before nested keys', () => {
+  assert.deepEqual(beautify({ gt: '2002', 'gt.plan': 'isdn' }), { gt: { value: '2002', plan: 'isdn' } })
+})
+
+test('beautify booleans and hex data', () => {
+  const result = beautify({ yes: 'true', no: 'false', data: 'a0 b0 c0' })
+  assert.equal(result.yes, true)
+  assert.equal(result.no, false)
+  assert.deepEqual(result.data, Buffer.from([0xa0, 0xb0, 0xc0]))
+})
+
+test('beautify keys colliding with prototype names', () => {
+  const result = beautify({ constructor: '1', 'toString.x': '2' })
+  assert.deepEqual(result, { constructor: '1', toString: { x: '2' } })
+  assert.equal(Object.value, undefined)
+})
+
+test('yatefy nested objects', () => {
+  assert.deepEqual(yatefy(NESTED), {
+    'CalledPartyAddress.route': 'gt',
+    'CalledPartyAddress.pointcode': '2002',
+    'CalledPartyAddress.gt.nature': 'international',
+    'CalledPartyAddress.gt.plan': 'isdn',
+    'CalledPartyAddress.gt.translation': '0',
+    'CalledPartyAddress.gt.encoding': 'bcd',
+    'CalledPartyAddress.gt': '2002',
+    'CalledPartyAddress.ssn': '6'
+  })
+})
+
+test('yatefy buffers', () => {
+  assert.deepEqual(yatefy({ data: Buffer.from([0xa0, 0x0b]) }), { data: 'a0 0b' })
+})
+
+test('yatefy and beautify round trip', () => {
+  assert.deepEqual(beautify(yatefy(NESTED)), NESTED)
+  assert.deepEqual(yatefy(beautify(DOTTED)), DOTTED)
+})
+
+test('beautify keeps strings that only look like hex data', () => {
+  const params = { digits: '12 34', upper: 'AB CD', single: 'ab', text: 'call ab cd ef' }
+  const result = beautify(params)
+  assert.equal(result.digits, '12 34')
+  assert.equal(result.upper, 'AB CD')
+  assert.equal(result.single, 'ab')
+  assert.equal(result.text, 'call ab cd ef')
+})
+
+test('allow and deny lists', () => {
+  const params = { data: '12 3a', other: '56 7b', flag: 'true', 'sip.flag': 'true' }
+  const result = beautify(params, { nested: false, hex: { deny: ['other'] }, booleans: { allow: [/^sip\./] } })
+  assert.deepEqual(result.data, Buffer.from([0x12, 0x3a]))
+  assert.equal(result.other, '56 7b')
+  assert.equal(result.flag, 'true')
+  assert.equal(result['sip.flag'], true)
+})
+
+test('codecs', () => {
+  const json = {
+    decode: (value) => JSON.parse(value),
+    encode: (value) => JSON.stringify(value)
+  }
+  const params = { payload: '{"a":{"b":1}}', 'payload.extra': 'x' }
+  const options = { nested: true, codecs: { payload: json } }
+  const result = beautify(params, options)
+  assert.deepEqual(result, { payload: { a: { b: 1 } }, 'payload.extra': 'x' })
+  assert.deepEqual(yatefy(result, options), params)
+})
+
+test('indexed lists', () => {
+  const options = { nested: true, lists: true }
+  const counted = { 'foo.1': 'a', 'foo.2': 'b', 'foo.count': '2' }
+  assert.deepEqual(beautify(counted, options), { foo: ['a', 'b'] })
+  assert.deepEqual(yatefy(beautify(counted, options), options), counted)
+
+  const rooted = { foo: '2', 'foo.1': 'a', 'foo.2': 'b' }
+  assert.deepEqual(yatefy(beautify(rooted, options), options), rooted)
+
+  const plain = { 'foo.1': 'a', 'foo.2': 'b' }
+  assert.deepEqual(yatefy(beautify(plain, options), options), plain)
+
+  const mismatch = { 'foo.1': 'a', 'foo.3': 'b', 'foo.count': '2' }
+  assert.deepEqual(beautify(mismatch, options), { foo: { 1: 'a', 3: 'b', count: '2' } })
+
+  assert.deepEqual(yatefy({ foo: ['x', 'y'] }, options), { 'foo.1': 'x', 'foo.2': 'y', 'foo.count': '2' })
+})
+
+test('per message name settings', () => {
+  const { Message } = require('..')
+  const decorate = { messages: { 'call.cdr': false, 'chan.dtmf': { hex: false } } }
+  const cdr = new Message()
+  cdr.parse('%%<message::true:call.cdr::a.b=a0 b0', decorate)
+  assert.deepEqual(cdr.params, { 'a.b': 'a0 b0' })
+  const dtmf = new Message()
+  dtmf.parse('%%<message::true:chan.dtmf::a.b=a0 b0', decorate)
+  assert.deepEqual(dtmf.params, { a: { b: 'a0 b0' } })
+})
+
+test('beautify and yatefy are lossless', () => {
+  const { random } = require('./random')
+  const next = random(3)
+  const pick = (list) => list[Math.floor(next() * list.length)]
+  const SEGMENTS = ['a', 'b', 'gt', 'value', 'count', '1', '2', '3', '', 'constructor']
+  const VALUES = ['', 'x', 'true', 'false', 'True', 'a0 b0', 'A0 B0', 'a0', '0a 1b 2c', '12 34', '1', '2', '3', 'value']
+  for (let i = 0; i < 2000; i++) {
+    const params = {}
+    const count = Math.floor(next() * 8)
+    for (let j = 0; j < count; j++) {
+      const depth = 1 + Math.floor(next() * 3)
+      const key = Array.from({ length: depth }, () => pick(SEGMENTS)).join('.')
+      params[key] = pick(VALUES)
+    }
+    for (const options of [undefined, { lists: true }, { nested: false }]) {
+      const decorated = beautify(Object.assign({}, params), options)
+      assert.deepEqual(yatefy(decorated, options), params, JSON.stringify(params))
+    }
+  }
+})
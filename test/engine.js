@@ -0,0 +1,44 @@
+const events = require('node:events')
+const { MockEngine, Connection } = require('..')
+
+// piped Connection which is not connected yet, so that messages wait in queue;
+// lines are protocol traffic as seen by engine
+function offline (options, engineOptions) {
+  const engine = new MockEngine(engineOptions)
+  const lines = []
+  engine.on('line', (line) => lines.push(line))
+  const connection = new Connection(Object.assign(engine.pipe(), options))
+  return { engine, connection, lines }
+}
+
+// MockEngine with connected Connection
+function piped (options, engineOptions) {
+  const result = offline(options, engineOptions)
+  result.connection.connect()
+  return result
+}
+
+// MockEngine listening on free TCP port, for code that makes its own connections
+async function serving (engineOptions) {
+  const engine = new MockEngine(engineOptions)
+  const lines = []
+  engine.on('line', (line) => lines.push(line))
+  const { port } = await engine.listen(0)
+  return { engine, lines, port }
+}
+
+// the same as piped() over TCP, resolves when connected
+async function listening (options, engineOptions) {
+  const { engine, lines, port } = await serving(engineOptions)
+  const connection = new Connection(Object.assign({ port }, options))
+  connection.connect()
+  await events.once(connection, 'connect')
+  return { engine, connection, lines, port }
+}
+
+module.exports = {
+  offline,
+  piped,
+  serving,
+  listening
+}
@@ -0,0 +1,47 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { escape, unescape } = require('..')
+const { random, randomString } = require('./random')
+
+test('escape special characters', () => {
+  assert.equal(escape('a:b'), 'a%zb')
+  assert.equal(escape('100%'), '100%%')
+  assert.equal(escape('line\nbreak'), 'line%Jbreak')
+  assert.equal(escape('\x00'), '%@')
+  assert.equal(escape('key=value', '='), 'key%}value')
+  assert.equal(escape('key=value'), 'key=value')
+})
+
+test('escape non-string values', () => {
+  assert.equal(escape(null), '')
+  assert.equal(escape(undefined), 'undefined')
+  assert.equal(escape(true), 'true')
+  assert.equal(escape(false), 'false')
+  assert.equal(escape(42), '42')
+})
+
+test('unescape special characters', () => {
+  assert.equal(unescape('a%zb'), 'a:b')
+  assert.equal(unescape('100%%'), '100%')
+  assert.equal(unescape('line%Jbreak'), 'line\nbreak')
+  assert.equal(unescape('key%}value'), 'key=value')
+  assert.equal(unescape(''), '')
+  assert.equal(unescape(undefined), '')
+})
+
+test('unicode passes unescaped', () => {
+  assert.equal(escape('Жора 😀'), 'Жора 😀')
+  assert.equal(unescape('Жора 😀'), 'Жора 😀')
+})
+
+test('escape and unescape round trip', () => {
+  const next = random(1)
+  for (let i = 0; i < 1000; i++) {
+    const string = randomString(next)
+    const escaped = escape(string, '=')
+    assert.equal(escaped.indexOf(':'), -1)
+    assert.equal(escaped.indexOf('='), -1)
+    assert.ok(!/[\x00-\x1f]/.test(escaped)) // eslint-disable-line no-control-regex
+    assert.equal(unescape(escaped), string)
+  }
+})
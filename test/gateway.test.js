@@ -0,0 +1,169 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const crypto = require('node:crypto')
+const events = require('node:events')
+const http = require('node:http')
+const { Gateway } = require('..')
+const { piped } = require('./engine')
+
+async function setup (options) {
+  const { engine, connection } = piped()
+  const gateway = new Gateway(connection, options)
+  const { port } = (await gateway.listen()).address()
+  return { engine, connection, gateway, port }
+}
+
+async function request (port, method, path, body, token) {
+  const headers = token ? { Authorization: 'Bearer ' + token } : {}
+  const req = http.request({ port, method, path, headers })
+  req.end(body && JSON.stringify(body))
+  const [res] = await events.once(req, 'response')
+  let text = ''
+  for await (const chunk of res) text += chunk
+  return { status: res.statusCode, body: JSON.parse(text) }
+}
+
+async function client (port, path) {
+  // bare WebSocket client: masked text frames out, unmasked frames in
+  const req = http.request({
+    port,
+    path,
+    headers: { Connection: 'Upgrade', Upgrade: 'websocket', 'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64'), 'Sec-WebSocket-Version': '13' }
+  })
+  req.end()
+  const [res, socket] = await events.once(req, 'upgrade')
+  assert.equal(res.statusCode, 101)
+  const received = []
+  const arrived = new events.EventEmitter()
+  let buffer = Buffer.alloc(0)
+  socket.on('data', (data) => {
+    buffer = Buffer.concat([buffer, data])
+    while (buffer.length >= 2) {
+      let length = buffer[1] & 0x7f
+      let offset = 2
+      if (length === 126) {
+        length = buffer.readUInt16BE(2)
+        offset = 4
+      }
+      if (buffer.length < offset + length) return
+      if ((buffer[0] & 0x0f) === 1) {
+        received.push(JSON.parse(buffer.subarray(offset, offset + length)))
+        arrived.emit('message')
+      }
+      buffer = buffer.subarray(offset + length)
+    }
+  })
+  return {
+    send (message) {
+      const payload = Buffer.from(JSON.stringify(message))
+      const mask = crypto.randomBytes(4)
+      const header = payload.length < 126 ? Buffer.from([0x81, 0x80 | payload.length]) : Buffer.from([0x81, 0x80 | 126, payload.length >> 8, payload.length & 0xff])
+      socket.write(Buffer.concat([header, mask, payload.map((byte, i) => byte ^ mask[i % 4])]))
+    },
+    async next (type) {
+      for (;;) {
+        const message = received.shift()
+        if (!message) {
+          await events.once(arrived, 'message')
+        } else if (message.type === type) {
+          return message
+        }
+      }
+    },
+    close () {
+      socket.destroy()
+    }
+  }
+}
+
+test('rest endpoints with token and allow lists', async () => {
+  const { engine, gateway, port } = await setup({
+    tokens: { secret: { dispatch: ['test.*', 'engine.command', 'engine.status'], config: ['general'] }, other: true }
+  })
+  engine.handle('test.echo', (params) => params.text)
+  engine.onCommand('uptime', 'Uptime: 10')
+  engine.onStatus('name=engine,type=system;nodename=mock')
+
+  assert.equal((await request(port, 'POST', '/dispatch', { name: 'test.echo' })).status, 401)
+  assert.equal((await request(port, 'POST', '/dispatch', { name: 'test.echo' }, 'wrong')).status, 401)
+  assert.equal((await request(port, 'POST', '/dispatch', { name: 'call.drop' }, 'secret')).status, 403)
+  assert.deepEqual(await request(port, 'POST', '/dispatch', { name: 'test.echo', params: { text: 'hello' } }, 'secret'), {
+    status: 200, body: { processed: true, retval: 'hello', params: { text: 'hello' } }
+  })
+  assert.equal((await request(port, 'POST', '/dispatch', { name: 'test.unknown' }, 'secret')).body.processed, false)
+  assert.deepEqual((await request(port, 'POST', '/command', { line: 'uptime' }, 'secret')).body, { processed: true, retval: 'Uptime: 10' })
+  assert.equal((await request(port, 'GET', '/status', null, 'secret')).body[0].name, 'engine')
+  assert.equal((await request(port, 'GET', '/config/other/key', null, 'secret')).status, 403)
+  // token without own lists has access to everything
+  assert.equal((await request(port, 'POST', '/dispatch', { name: 'call.drop' }, 'other')).status, 200)
+  assert.equal((await request(port, 'GET', '/unknown', null, 'other')).status, 404)
+
+  // categories not in token's lists are denied
+  const ws = await client(port, '/ws?token=secret')
+  ws.send({ type: 'subscribe', name: 'user.auth' })
+  assert.equal((await ws.next('error')).error, 'user.auth is not allowed')
+  ws.send({ type: 'watch', name: 'call.cdr' })
+  assert.equal((await ws.next('error')).error, 'call.cdr is not allowed')
+  ws.close()
+  await gateway.close()
+  await engine.close()
+})
+
+test('access without tokens and body limit', async () => {
+  assert.throws(() => new Gateway({}), /tokens are required/)
+  const { engine, gateway, port } = await setup({ open: true, maxBody: 100 })
+  engine.handle('test.echo', (params) => params.text)
+  assert.equal((await request(port, 'POST', '/dispatch', { name: 'test.echo', params: { text: 'hi' } })).body.retval, 'hi')
+  assert.deepEqual(await request(port, 'POST', '/dispatch', { name: 'test.echo', params: { text: 'x'.repeat(100) } }), {
+    status: 413, body: { error: 'request body too large' }
+  })
+  await gateway.close()
+  await engine.close()
+})
+
+test('dispatch with invalid params or timeout is refused', async () => {
+  const { engine, gateway, port } = await setup({ open: true })
+  const refused = [
+    { name: 'test.echo', params: { a: null } },
+    { name: 'test.echo', params: { a: { b: 'c' } } },
+    { name: 'test.echo', params: ['a'] },
+    { name: 'test.echo', timeout: '1000' },
+    { name: 'test.echo', timeout: -1 },
+    { name: 'test.echo', timeout: 2 ** 31 }
+  ]
+  for (const body of refused) {
+    assert.equal((await request(port, 'POST', '/dispatch', body)).status, 400, JSON.stringify(body))
+  }
+  assert.equal((await request(port, 'POST', '/command', { line: 'status', timeout: 0 })).status, 400)
+  assert.deepEqual(await request(port, 'POST', '/dispatch', 5), { status: 400, body: { error: 'JSON object expected' } })
+  await gateway.close()
+  await engine.close()
+})
+
+test('websocket watch and remote subscribe', async () => {
+  const { engine, connection, gateway, port } = await setup({ tokens: ['secret'], allow: { watch: ['call.cdr'], subscribe: ['call.route'] } })
+  const ws = await client(port, '/ws?token=secret')
+
+  ws.send({ type: 'watch', name: 'chan.dtmf' })
+  assert.equal((await ws.next('error')).error, 'chan.dtmf is not allowed')
+  ws.send({ type: 'watch', name: 'call.cdr' })
+  await ws.next('watched')
+  engine.message('call.cdr', { operation: 'finalize' })
+  assert.deepEqual(await ws.next('notification'), { type: 'notification', name: 'call.cdr', retval: '', params: { operation: 'finalize' } })
+
+  ws.send({ type: 'subscribe', name: 'call.route', priority: 50 })
+  await ws.next('subscribed')
+  const routed = engine.message('call.route', { called: '100' })
+  const message = await ws.next('message')
+  assert.equal(message.params.called, '100')
+  ws.send({ type: 'reply', id: message.id, retval: 'sip/100', params: { maxcall: '5000' } })
+  assert.deepEqual(await routed, { name: 'call.route', processed: true, retval: 'sip/100', params: { called: '100', maxcall: '5000' } })
+
+  // disconnected client is removed from engine
+  ws.close()
+  await new Promise((resolve) => setTimeout(resolve, 50))
+  assert.equal(connection.subscriptions['call.route'], undefined)
+  assert.equal(connection.watchers['call.cdr'], undefined)
+  await gateway.close()
+  await engine.close()
+})
@@ -0,0 +1,133 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { IncomingMessage } = require('..')
+const { piped } = require('./engine')
+
+test('listener gets message with accessors and helpers', async () => {
+  const { engine, connection } = piped()
+  let seen = null
+  await connection.subscribe('call.route', (message, retval) => {
+    assert.ok(message instanceof IncomingMessage)
+    seen = {
+      name: message.name(),
+      id: message.msgId(),
+      time: message.msgTime(),
+      processed: message.processed(),
+      retval: message.retValue(),
+      called: message.called,
+      maxcall: message.getInt('maxcall', 30000),
+      missing: message.getInt('missing', 30000),
+      early: message.getBool('early'),
+      unknown: message.getBool('unknown', true),
+      sip: message.copyParams('sip_')
+    }
+    message.clearParam('osip')
+    message.target = 'sip/200'
+    return 'sip/200'
+  })
+  const answer = await engine.message('call.route', {
+    called: '200', maxcall: '5000', early: 'yes', sip_from: 'a', sip_to: 'b', osip: 'x', 'osip.1': 'y'
+  }, { retval: 'old' })
+  assert.equal(seen.name, 'call.route')
+  assert.match(seen.id, /^mock\.\d+$/)
+  assert.ok(Math.abs(seen.time - Date.now() / 1000) < 5)
+  assert.deepEqual(seen, Object.assign({}, seen, {
+    processed: false,
+    retval: 'old',
+    called: '200',
+    maxcall: 5000,
+    missing: 30000,
+    early: true,
+    unknown: true,
+    sip: { from: 'a', to: 'b' }
+  }))
+  assert.deepEqual(answer.params, { called: '200', maxcall: '5000', early: 'yes', sip_from: 'a', sip_to: 'b', target: 'sip/200' })
+  await engine.close()
+})
+
+test('listeners of one install form a chain', async () => {
+  const { engine, connection, lines } = piped()
+  let order = []
+  const first = connection.subscribe('call.route', 100, async (message, retval, next) => {
+    order.push('first')
+    const result = await next()
+    order.push(`after ${result.processed} ${result.retval}`)
+  })
+  const second = connection.subscribe('call.route', '100', (message, retval, next) => {
+    order.push('second')
+    return message.called === '100' ? 'tone/ring' : next()
+  })
+  connection.subscribe('call.route', 100, (message) => {
+    order.push('third')
+    if (message.called === '200') return { processed: false }
+  })
+  assert.equal(first, second)
+  assert.throws(() => connection.subscribe('call.route', 50, () => {}), /different priority/)
+  await first
+  assert.deepEqual(lines.filter((line) => line.startsWith('< %%>install:')), ['< %%>install:100:call.route'])
+
+  assert.deepEqual(await engine.message('call.route', { called: '100' }), { name: 'call.route', processed: true, retval: 'tone/ring', params: { called: '100' } })
+  assert.deepEqual(order, ['first', 'second', 'after true tone/ring'])
+  order = []
+  assert.deepEqual(await engine.message('call.route', { called: '200' }, { retval: 'old' }), { name: 'call.route', processed: false, retval: 'old', params: { called: '200' } })
+  assert.deepEqual(order, ['first', 'second', 'third', 'after false old'])
+  order = []
+  assert.equal((await engine.message('call.route', { called: '300' }, { retval: 'old' })).processed, true)
+  assert.deepEqual(order, ['first', 'second', 'third', 'after true old'])
+  await engine.close()
+})
+
+test('get through decorated parameters', async () => {
+  const { engine, connection } = piped({ decorate: true })
+  let values = null
+  await connection.watch('sccp.message', (message) => {
+    values = [message.get('CalledPartyAddress.gt'), message.get('CalledPartyAddress.gt.plan'), message.get('none', '-'), message.processed()]
+  })
+  await engine.message('sccp.message', { 'CalledPartyAddress.gt': '2002', 'CalledPartyAddress.gt.plan': 'isdn' })
+  await new Promise((resolve) => setImmediate(resolve))
+  assert.deepEqual(values, ['2002', 'isdn', '-', false])
+  await engine.close()
+})
+
+test('reply early and dispatch copy', async () => {
+  const { engine, connection } = piped()
+  engine.handle('call.route', 200, (params) => params.called === '301' ? 'sip/copy' : { processed: false })
+  let done
+  const finished = new Promise((resolve) => { done = resolve })
+  await connection.subscribe('call.route', async (message) => {
+    message.reply({ retval: 'sip/300', params: { reason: 'forwarded' } })
+    const copy = message.copy()
+    copy.called = '301'
+    done([await copy.dispatch(), message.called])
+    // already answered
+    return 'ignored'
+  })
+  const answer = await engine.message('call.route', { called: '300' })
+  assert.deepEqual(answer, { name: 'call.route', processed: true, retval: 'sip/300', params: { called: '300', reason: 'forwarded' } })
+  assert.deepEqual(await finished, [{ retval: 'sip/copy', params: { called: '301', reason: 'forwarded' } }, '300'])
+  await engine.close()
+})
+
+test('parameters named like methods or internals', async () => {
+  const { engine, connection } = piped()
+  const errors = []
+  connection.on('exception', (error) => errors.push(error))
+  let seen = null
+  await connection.watch('test.event', (message) => {
+    seen = [message.name(), message.get('name'), message.get('get'), message._message, message._connection, Object.keys(message)]
+  })
+  await engine.message('test.event', { _message: 'm', _connection: 'c', name: 'n', get: 'g' })
+  await new Promise((resolve) => setImmediate(resolve))
+  assert.deepEqual(seen, ['test.event', 'n', 'g', 'm', 'c', ['_message', '_connection', 'name', 'get']])
+
+  await connection.subscribe('call.route', (message) => {
+    message.dispatch = 'changed'
+    delete message.copy
+    return 'sip/' + message.get('called') + '/' + message.getInt('get')
+  })
+  const answer = await engine.message('call.route', { called: '100', get: '5', copy: 'x', reply: 'y' })
+  assert.equal(answer.retval, 'sip/100/5')
+  assert.deepEqual(answer.params, { called: '100', get: '5', reply: 'y', dispatch: 'changed' })
+  assert.deepEqual(errors, [])
+  await engine.close()
+})
@@ -0,0 +1,76 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const events = require('node:events')
+const { Connection } = require('..')
+const { listening } = require('./engine')
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+test('close with drain waits for answers and listeners', async () => {
+  const { engine, connection, lines } = await listening()
+  engine.handle('slow.message', async () => {
+    await delay(100)
+    return 'done'
+  })
+  await connection.subscribe('call.route', async () => {
+    await delay(100)
+    return 'sip/100'
+  })
+  await connection.watch('call.cdr', () => {})
+  const routed = engine.message('call.route', { called: '100' })
+  await delay(20)
+  const answered = connection.dispatch('slow.message')
+  await delay(20)
+  const closed = events.once(connection, 'close')
+  await connection.close({ drain: true })
+  await closed
+
+  assert.equal((await answered).retval, 'done')
+  assert.equal((await routed).retval, 'sip/100')
+  const order = ['< %%>uninstall:call.route', '< %%>unwatch:call.cdr', '< %%<message:', '< %%>quit']
+    .map((prefix) => lines.findIndex((line) => line.startsWith(prefix)))
+  assert.ok(order.every((index, i) => index !== -1 && (!i || index > order[i - 1])), order.join())
+  assert.equal(connection.connected, false)
+  assert.throws(() => connection.dispatch('test.message'), /connection is closed/)
+  await delay(50)
+  assert.equal(engine.sessions.length, 0)
+  await engine.close()
+})
+
+test('close without drain fails pending dispatches', async () => {
+  const { engine, connection } = await listening()
+  engine.handle('slow.message', () => delay(200))
+  const answered = connection.dispatch('slow.message')
+  await delay(20)
+  await connection.close()
+  await assert.rejects(answered, /connection is closed/)
+  await engine.close()
+})
+
+test('close returns at once when engine has closed socket', async () => {
+  const { engine, connection } = await listening({ reconnect: false, setlocalTimeout: 2000 })
+  // engine may reset the socket, events.once would reject on that error
+  connection.on('error', () => {})
+  const disconnected = new Promise((resolve) => connection.once('disconnect', resolve))
+  await engine.close()
+  await disconnected
+  const started = Date.now()
+  await connection.close()
+  assert.ok(Date.now() - started < 1000)
+})
+
+test('signal handling and console are opt-in', async () => {
+  const before = process.listenerCount('SIGTERM')
+  const log = console.log
+  const plain = new Connection({ port: 5040 })
+  assert.equal(process.listenerCount('SIGTERM'), before)
+  await plain.close()
+
+  const connection = new Connection({ signals: ['SIGTERM'], console: 'silent' })
+  assert.equal(process.listenerCount('SIGTERM'), before + 1)
+  assert.notEqual(console.log, log)
+  await connection.close()
+  assert.equal(process.listenerCount('SIGTERM'), before)
+  assert.equal(console.log, log)
+  assert.throws(() => new Connection({ console: 'loud' }), /console loud is invalid/)
+})
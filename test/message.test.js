@@ -0,0 +1,115 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { Message } = require('..')
+const { random, randomString } = require('./random')
+
+function parse (string, decorate) {
+  const message = new Message()
+  message.parse(string, decorate)
+  return message
+}
+
+test('parse incoming message', () => {
+  const message = parse('%%>message:id1:1095112795:call.route:old%zvalue:caller=100:called=200')
+  assert.equal(message._type, 'incoming')
+  assert.equal(message._id, 'id1')
+  assert.equal(message._origin, '1095112795')
+  assert.equal(message._name, 'call.route')
+  assert.equal(message._retval, 'old:value')
+  assert.deepEqual(message.params, { caller: '100', called: '200' })
+})
+
+test('parse answer and notification', () => {
+  const answer = parse('%%<message:id1:true:call.execute:sip/2:id=sip/1')
+  assert.equal(answer._type, 'answer')
+  assert.equal(answer._id, 'id1')
+  assert.equal(answer._processed, true)
+  assert.equal(answer._retval, 'sip/2')
+
+  const notification = parse('%%<message::false:engine.timer::time=1095112796')
+  assert.equal(notification._type, 'notification')
+  assert.equal(notification._id, '')
+  assert.equal(notification._processed, false)
+  assert.equal(notification._name, 'engine.timer')
+  assert.deepEqual(notification.params, { time: '1095112796' })
+})
+
+test('parse acknowledgements', () => {
+  const install = parse('%%<install:100:call.route:true')
+  assert.equal(install._type, 'install')
+  assert.equal(install._priority, '100')
+  assert.equal(install._success, true)
+
+  const uninstall = parse('%%<uninstall:100:call.route:false')
+  assert.equal(uninstall._type, 'uninstall')
+  assert.equal(uninstall._success, false)
+
+  const watch = parse('%%<watch:engine.timer:true')
+  assert.equal(watch._type, 'watch')
+  assert.equal(watch._name, 'engine.timer')
+  assert.equal(watch._success, true)
+
+  const unwatch = parse('%%<unwatch:engine.timer:true')
+  assert.equal(unwatch._type, 'unwatch')
+  assert.equal(unwatch._success, true)
+
+  const setlocal = parse('%%<setlocal:config.telephony.route:a%zb:true')
+  assert.equal(setlocal._type, 'setlocal')
+  assert.equal(setlocal._name, 'config.telephony.route')
+  assert.equal(setlocal._value, 'a:b')
+  assert.equal(setlocal._success, true)
+
+  assert.equal(parse('%%<quit')._type, 'quit')
+})
+
+test('parse errors', () => {
+  assert.equal(parse('Error in: %%>foo:bar').error, 'Error in: %%>foo:bar')
+  assert.match(parse('%%>unknown:command').error, /Unknown command/)
+})
+
+test('parse empty retval', () => {
+  const incoming = parse('%%>message:id1:1095112795:call.route::caller=100')
+  assert.equal(incoming._retval, '')
+  const answer = parse('%%<message:id1:false:call.route:')
+  assert.equal(answer._retval, '')
+  assert.deepEqual(answer.params, {})
+})
+
+test('parse keys colliding with prototype names', () => {
+  const message = parse('%%>message:id1:1:test::parse=1:stringify=2:constructor=3:_name=4:__proto__=5:toString=6')
+  assert.equal(message._name, 'test')
+  assert.equal(message.params.parse, '1')
+  assert.equal(message.params.stringify, '2')
+  assert.equal(message.params.constructor, '3')
+  assert.equal(message.params._name, '4')
+  assert.equal(message.params.toString, '6')
+  assert.equal(Object.getPrototypeOf(message.params), Object.prototype)
+})
+
+test('parse parameters without value', () => {
+  const message = parse('%%>message:id1:1:test::empty=:flag:key==value')
+  assert.deepEqual(message.params, { empty: '', key: '=value' })
+})
+
+test('stringify parameters', () => {
+  const message = new Message('test', { a: 'b:c', 'k=y': '1', empty: '', number: 5, yes: true })
+  assert.equal(message.stringify(false, false), ':a=b%zc:k%}y=1:number=5:yes=true')
+  assert.equal(message.stringify(true, false), ':a=b%zc:k%}y=1:empty:number=5:yes=true')
+})
+
+test('stringify and parse round trip', () => {
+  const next = random(7)
+  for (let i = 0; i < 500; i++) {
+    const params = {}
+    const count = Math.floor(next() * 6)
+    for (let j = 0; j < count; j++) {
+      const key = randomString(next, 1)
+      if (key === '__proto__') continue
+      params[key] = randomString(next, 1)
+    }
+    const outgoing = new Message('test', params)
+    const line = '%%>message:id:1:test:' + outgoing.stringify(false, false)
+    const incoming = parse(line, false)
+    assert.deepEqual(incoming.params, params, line)
+  }
+})
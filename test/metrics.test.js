@@ -0,0 +1,70 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const http = require('node:http')
+const { Registry } = require('..')
+const { piped } = require('./engine')
+
+test('registry text exposition', () => {
+  const registry = new Registry()
+  const counter = registry.counter('test_total', 'Test counter', ['name'])
+  counter.inc({ name: 'a"b' })
+  counter.inc({ name: 'a"b' }, 2)
+  assert.equal(registry.counter('test_total'), counter)
+  assert.throws(() => registry.gauge('test_total'), /already registered as counter/)
+  const histogram = registry.histogram('test_seconds', 'Test histogram', [], [0.1, 1])
+  histogram.observe({}, 0.5)
+  histogram.observe({}, 2)
+  registry.gauge('test_gauge', 'Test gauge', [], (metric) => metric.set({}, 7))
+  assert.equal(registry.text(), [
+    '# HELP test_total Test counter',
+    '# TYPE test_total counter',
+    'test_total{name="a\\"b"} 3',
+    '# HELP test_seconds Test histogram',
+    '# TYPE test_seconds histogram',
+    'test_seconds_bucket{le="0.1"} 0',
+    'test_seconds_bucket{le="1"} 1',
+    'test_seconds_bucket{le="+Inf"} 2',
+    'test_seconds_sum 2.5',
+    'test_seconds_count 2',
+    '# HELP test_gauge Test gauge',
+    '# TYPE test_gauge gauge',
+    'test_gauge 7',
+    ''
+  ].join('\n'))
+})
+
+test('connection traffic metrics', async () => {
+  const { engine, connection } = piped({ dispatchTimeout: 30 })
+  engine.handle('test.message', (params) => params.ok === 'true' ? 'done' : { processed: false })
+  engine.handle('slow.message', () => new Promise(() => {}))
+  connection.subscribe('call.route', () => 'tone/ring')
+  await connection.dispatch('test.message', { ok: true })
+  await assert.rejects(connection.dispatch('test.message', { ok: false }), /not processed/)
+  await assert.rejects(connection.dispatch('slow.message'), /timeout/)
+  await engine.message('call.route', { called: '100' })
+
+  const meters = connection.meters
+  assert.equal(meters.dispatched.get({ name: 'test.message' }), 2)
+  assert.equal(meters.answered.get({ name: 'test.message' }), 1)
+  assert.equal(meters.notProcessed.get({ name: 'test.message' }), 1)
+  assert.equal(meters.timedOut.get({ name: 'slow.message' }), 1)
+  assert.equal(meters.incoming.get({ name: 'call.route' }), 1)
+  assert.equal(meters.acknowledged.get({ name: 'call.route', processed: 'true' }), 1)
+  assert.equal(meters.handlerDuration.get({ name: 'call.route' }).count, 1)
+
+  const server = await connection.metrics.serve({ host: '127.0.0.1' })
+  const { port } = server.address()
+  const body = await new Promise((resolve, reject) => {
+    http.get({ port, host: '127.0.0.1', path: '/metrics' }, (res) => {
+      let data = ''
+      res.on('data', (chunk) => { data += chunk })
+      res.on('end', () => resolve(data))
+    }).on('error', reject)
+  })
+  assert.match(body, /^yate_connected 1$/m)
+  assert.match(body, /^yate_pending_dispatches 0$/m)
+  assert.match(body, /^yate_messages_dispatched_total\{name="test.message"\} 2$/m)
+  assert.match(body, /^yate_queue_messages_total\{outcome="queued"\} 1$/m)
+  server.close()
+  await engine.close()
+})
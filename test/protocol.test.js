@@ -0,0 +1,48 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const events = require('node:events')
+const { Connection } = require('..')
+const { piped, listening } = require('./engine')
+
+test('connect role is sent on every connect', async () => {
+  const { engine, connection, lines, port } = await listening({ role: 'channel', channel: 'sip/1', type: 'slin', reconnectTimeout: 20 })
+  const [session] = await events.once(engine, 'connect')
+  assert.deepEqual([session.role, session.channel, session.type], ['channel', 'sip/1', 'slin'])
+  assert.equal(lines.find((line) => line.startsWith('< %%>connect')), '< %%>connect:channel:sip/1:slin')
+
+  // role is negotiated again after reconnect
+  engine.sessions.forEach((item) => item.close())
+  const [again] = await events.once(engine, 'connect')
+  assert.notEqual(again, session)
+  assert.equal(again.role, 'channel')
+
+  const other = new Connection({ port, role: 'global' })
+  other.connect()
+  const [global] = await events.once(engine, 'connect')
+  assert.deepEqual([global.role, global.channel, global.type], ['global', null, null])
+  await other.close()
+  await connection.close()
+  await engine.close()
+})
+
+test('acknowledgements resolve install, uninstall, watch and quit', async () => {
+  const { engine, connection, lines } = piped()
+  const listener = () => {}
+  assert.equal(await connection.subscribe('test.message', 50, listener), true)
+  assert.equal(await connection.watch('test.event', listener), true)
+  assert.equal(await connection.unwatch('test.event', listener), true)
+  assert.equal(await connection.unsubscribe('test.message', listener), true)
+  await assert.rejects(connection.unsubscribe('test.message'), /not processed uninstall test.message/)
+  assert.deepEqual(lines.filter((line) => /^< %%>(un)?(install|watch)/.test(line)), [
+    '< %%>install:50:test.message',
+    '< %%>watch:test.event',
+    '< %%>unwatch:test.event',
+    '< %%>uninstall:test.message',
+    '< %%>uninstall:test.message'
+  ])
+
+  await connection.quit()
+  assert.equal(connection.reconnect, false)
+  assert.equal(engine.sessions.length, 0)
+  await engine.close()
+})
@@ -0,0 +1,79 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const timers = require('node:timers/promises')
+const events = require('node:events')
+const { Connection } = require('..')
+const { offline } = require('./engine')
+
+function setup (options) {
+  // messages are queued until connect() is called
+  const { engine, connection } = offline(options)
+  engine.handle('test.message', (params) => 'ok' + params.n)
+  const dispatched = []
+  engine.on('dispatched', (message) => dispatched.push(message.params.n))
+  return { engine, connection, dispatched }
+}
+
+test('drop oldest on overflow', async () => {
+  const { engine, connection, dispatched } = setup({ maxQueue: 2 })
+  const dropped = []
+  connection.on('dropped', (message) => dropped.push(message.params.n))
+  const results = [1, 2, 3].map((n) => connection.dispatch('test.message', { n }))
+  await assert.rejects(results[0], /dropped/)
+  assert.deepEqual(dropped, [1])
+  assert.equal(connection.queue.length, 2)
+
+  connection.connect()
+  assert.equal((await results[1]).retval, 'ok2')
+  assert.equal((await results[2]).retval, 'ok3')
+  assert.deepEqual(dispatched, ['2', '3'])
+  assert.deepEqual(connection.counters, { queued: 3, expired: 0, dropped: 1 })
+  await engine.close()
+})
+
+test('drop newest and reject on overflow', async () => {
+  const newest = setup({ maxQueue: 1, overflow: 'drop-newest' })
+  const kept = newest.connection.dispatch('test.message', { n: 1 })
+  await assert.rejects(newest.connection.dispatch('test.message', { n: 2 }), /dropped/)
+  newest.connection.connect()
+  assert.equal((await kept).retval, 'ok1')
+  assert.deepEqual(newest.dispatched, ['1'])
+  await newest.engine.close()
+
+  const reject = setup({ maxQueue: 1, overflow: 'reject' })
+  reject.connection.dispatch('test.message', { n: 1 })
+  assert.throws(() => reject.connection.dispatch('test.message', { n: 2 }), /queue is full/)
+  assert.deepEqual(reject.connection.counters, { queued: 1, expired: 0, dropped: 0 })
+  await reject.engine.close()
+
+  assert.throws(() => new Connection({ overflow: 'bogus' }), /overflow bogus is invalid/)
+})
+
+test('expired messages are never sent', async () => {
+  const { engine, connection, dispatched } = setup({ ttl: 20 })
+  const expired = events.once(connection, 'expired')
+  const short = connection.dispatch('test.message', { n: 1 })
+  const long = connection.dispatch('test.message', { n: 2 }, { ttl: 1000 })
+  await assert.rejects(short, /expired/)
+  assert.equal((await expired)[0].params.n, 1)
+  assert.equal(connection.queue.length, 1)
+
+  connection.connect()
+  assert.equal((await long).retval, 'ok2')
+  assert.deepEqual(dispatched, ['2'])
+  assert.equal(connection.counters.expired, 1)
+  await engine.close()
+})
+
+test('timeout starts when message is written', async () => {
+  // queued messages don't expire by default
+  const { engine, connection } = setup({ dispatchTimeout: 50 })
+  engine.handle('slow.message', () => new Promise(() => {}))
+  const fast = connection.dispatch('test.message', { n: 1 })
+  await timers.setTimeout(100)
+  const slow = connection.dispatch('slow.message', null, { timeout: 30 })
+  connection.connect()
+  assert.equal((await fast).retval, 'ok1')
+  await assert.rejects(slow, /timeout/)
+  await engine.close()
+})
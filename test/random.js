@@ -0,0 +1,30 @@
+// seeded generator, so that failures are reproducible
+function random (seed) {
+  return function () {
+    seed = (seed + 0x6D2B79F5) | 0
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed)
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+const ALPHABET = [
+  'a', 'b', 'z', 'A', '0', '9', ' ', '.', '_', '-', '/',
+  ':', '%', '=', '%%', '%z', ',', ';', '|',
+  '\x00', '\x01', '\t', '\n', '\r', '\x1b', '\x1f', '\x7f',
+  'ж', 'ü', '中', '😀'
+]
+
+function randomString (next, min = 0, max = 16) {
+  const length = min + Math.floor(next() * (max - min + 1))
+  let result = ''
+  for (let i = 0; i < length; i++) {
+    result += ALPHABET[Math.floor(next() * ALPHABET.length)]
+  }
+  return result
+}
+
+module.exports = {
+  random,
+  randomString
+}
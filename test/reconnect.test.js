@@ -0,0 +1,75 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const events = require('node:events')
+const net = require('node:net')
+const timers = require('node:timers/promises')
+const { Connection } = require('..')
+const { listening } = require('./engine')
+
+async function freePort () {
+  const server = net.createServer()
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+  const { port } = server.address()
+  await new Promise((resolve) => server.close(resolve))
+  return port
+}
+
+test('backoff and give up', async () => {
+  const port = await freePort()
+  const attempts = []
+  const connection = new Connection({
+    port,
+    backoff: (attempt) => {
+      attempts.push(attempt)
+      return attempt <= 3 ? attempt * 10 : null
+    }
+  })
+  let connecting = 0
+  connection.on('connecting', () => connecting++)
+  connection.connect()
+  const [failed] = await events.once(connection, 'giveup')
+  assert.equal(failed, 3)
+  assert.deepEqual(attempts, [1, 2, 3, 4])
+  assert.equal(connecting, 4)
+  assert.equal(connection.reconnect, false)
+})
+
+test('exponential backoff options', async () => {
+  const port = await freePort()
+  const connection = new Connection({ port, backoff: { initial: 10, factor: 2, attempts: 2 } })
+  const started = Date.now()
+  connection.connect()
+  await events.once(connection, 'giveup')
+  // 10 + 20 ms between attempts
+  assert.ok(Date.now() - started >= 30)
+})
+
+test('heartbeat detects frozen engine and restart', async () => {
+  const { engine, connection } = await listening({ reconnectTimeout: 20, heartbeat: { interval: 50, timeout: 30 } }, { engine: { runid: '1000' } })
+  connection.on('warning', () => {})
+  await timers.setTimeout(100)
+
+  // engine stops answering
+  const frozen = engine.sessions[0]
+  frozen.rl.pause()
+  await events.once(connection, 'disconnect')
+  frozen.rl.resume()
+  await events.once(connection, 'connect')
+  await timers.setTimeout(100)
+
+  // engine restarts
+  engine.engine.runid = '2000'
+  engine.sessions.forEach((session) => session.close())
+  const [runid, previous] = await events.once(connection, 'restart')
+  assert.equal(runid, '2000')
+  assert.equal(previous, '1000')
+
+  connection.reconnect = false
+  connection.socket.destroy()
+  await engine.close()
+})
+
+test('connect timeout does not follow reconnect delay', () => {
+  assert.equal(new Connection({ port: 5040, reconnectTimeout: 20 }).connectTimeout, 5000)
+  assert.equal(new Connection({ port: 5040, connectTimeout: 100 }).connectTimeout, 100)
+})
@@ -0,0 +1,71 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('node:fs')
+const os = require('node:os')
+const path = require('node:path')
+const { Recorder, Replay, parseRecording } = require('..')
+const { offline } = require('./engine')
+
+function tmpdir () {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'yate-recorder-'))
+}
+
+test('record traffic with rotation', async () => {
+  const dir = tmpdir()
+  const file = path.join(dir, 'traffic.log')
+  // recorder is attached before connect, so that it sees all traffic
+  const { engine, connection } = offline()
+  const recorder = new Recorder(connection, { file, maxSize: 400, maxFiles: 2 })
+  connection.connect()
+  await connection.subscribe('call.route', (message) => 'sip/' + message.called)
+  for (let i = 0; i < 5; i++) {
+    await engine.message('call.route', { called: String(100 + i) })
+  }
+  await recorder.close()
+  await engine.close()
+
+  assert.deepEqual(fs.readdirSync(dir).sort(), ['traffic.log', 'traffic.log.1', 'traffic.log.2'])
+  const entries = ['traffic.log.2', 'traffic.log.1', 'traffic.log']
+    .flatMap((name) => parseRecording(fs.readFileSync(path.join(dir, name), 'utf8')))
+  const routes = entries.filter((entry) => entry.line.includes('called=104'))
+  assert.equal(routes.length, 2)
+  assert.equal(routes[0].direction, '<')
+  assert.match(routes[0].line, /^%%>message:mock\.\d+:\d+:call\.route::called=104$/)
+  assert.equal(routes[1].direction, '>')
+  assert.match(routes[1].line, /^%%<message:mock\.\d+:true::sip\/104:called=104$/)
+  assert.ok(entries.every((entry) => !isNaN(entry.time)))
+  fs.rmSync(dir, { recursive: true })
+})
+
+test('replay recording and report differences', async () => {
+  const start = Date.parse('2026-01-01T00:00:00Z')
+  const entries = [
+    { time: start, direction: '<', line: '%%>message:id1:1:call.route::called=100' },
+    { time: start + 1, direction: '>', line: '%%<message:id1:true::sip/100:called=100' },
+    { time: start + 500, direction: '<', line: '%%>message:id2:1:call.route::called=200' },
+    { time: start + 501, direction: '>', line: '%%<message:id2:true::sip/200:called=200' },
+    { time: start + 600, direction: '<', line: '%%<message::false:engine.timer::time=1' },
+    { time: start + 700, direction: '<', line: '%%>message:id3:1:user.auth::username=100' }
+  ]
+  const replay = new Replay(entries, { speed: 50 })
+  const connection = replay.connect()
+  await connection.subscribe('call.route', (message) => message.called === '100' ? 'sip/100' : 'sip/300')
+  const timers = []
+  await connection.watch('engine.timer', (message) => timers.push(message.time))
+
+  const started = Date.now()
+  const report = await replay.run()
+  assert.ok(Date.now() - started >= 10)
+  assert.equal(report.offered, 2)
+  assert.equal(report.skipped, 1)
+  assert.equal(report.notified, 1)
+  assert.equal(report.matched, 1)
+  assert.deepEqual(report.differences, [{
+    id: 'id2',
+    name: 'call.route',
+    expected: { processed: true, retval: 'sip/200', params: { called: '200' } },
+    actual: { processed: true, retval: 'sip/300', params: { called: '200' } }
+  }])
+  assert.deepEqual(timers, ['1'])
+  await replay.close()
+})
@@ -0,0 +1,91 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('node:fs')
+const os = require('node:os')
+const path = require('node:path')
+const { Registrar } = require('..')
+const { piped } = require('./engine')
+
+function setup (options) {
+  const { engine, connection } = piped()
+  const registrar = new Registrar(connection, options)
+  return { engine, connection, registrar }
+}
+
+test('authenticate, register and route', async () => {
+  const { engine, registrar } = setup({ users: { 100: 'secret', 101: { password: 'other' } } })
+  const online = []
+  const offline = []
+  registrar.on('online', (username, registration) => online.push([username, registration.data]))
+  registrar.on('offline', (username, registration, reason) => offline.push([username, reason]))
+  await registrar.installed
+
+  assert.equal((await engine.message('user.auth', { username: '100' })).retval, 'secret')
+  assert.equal((await engine.message('user.auth', { username: '102' })).processed, false)
+
+  const contact = 'sip/sip:100@192.168.0.10:5060'
+  assert.equal((await engine.message('user.register', { username: '100', data: contact, expires: '60', connection_id: 'general' })).processed, true)
+  assert.equal((await engine.message('user.register', { username: '102', data: 'sip/sip:102@192.168.0.12' })).processed, false)
+  assert.deepEqual(online, [['100', contact]])
+  assert.equal(registrar.get('100').connection_id, 'general')
+
+  const routed = await engine.message('call.route', { called: '100' })
+  assert.equal(routed.retval, contact)
+  assert.equal(routed.params.oconnection_id, 'general')
+  assert.equal((await engine.message('call.route', { called: '101' })).processed, false)
+
+  assert.equal((await engine.message('user.unregister', { username: '100' })).processed, true)
+  assert.deepEqual(offline, [['100', 'unregister']])
+  assert.equal((await engine.message('call.route', { called: '100' })).processed, false)
+
+  await registrar.close()
+  await engine.close()
+})
+
+test('names of object properties are not registrations', async () => {
+  const { engine, registrar } = setup({ users: { 100: 'secret' } })
+  const offline = []
+  registrar.on('offline', (username) => offline.push(username))
+  await registrar.installed
+  assert.equal((await engine.message('user.auth', { username: 'constructor' })).processed, false)
+  assert.equal((await engine.message('call.route', { called: 'toString' })).processed, false)
+  assert.equal((await engine.message('call.route', { called: '__proto__' })).processed, false)
+  assert.equal((await engine.message('user.unregister', { username: 'constructor' })).processed, false)
+  assert.equal(registrar.get('hasOwnProperty'), null)
+  assert.deepEqual(offline, [])
+  await registrar.close()
+  await engine.close()
+})
+
+test('registrations expire', async () => {
+  const { engine, registrar } = setup({ users: async (username) => username === '100' ? 'secret' : null })
+  await registrar.installed
+  await engine.message('user.register', { username: '100', data: 'sip/sip:100@10.0.0.1', expires: '0.05' })
+  const [username, registration, reason] = await new Promise((resolve) => registrar.once('offline', (...args) => resolve(args)))
+  assert.equal(username, '100')
+  assert.equal(registration.data, 'sip/sip:100@10.0.0.1')
+  assert.equal(reason, 'expired')
+  await registrar.close()
+  await engine.close()
+})
+
+test('users from json file', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'yate-registrar-'))
+  const file = path.join(dir, 'users.json')
+  fs.writeFileSync(file, JSON.stringify({ 100: 'secret' }))
+  const { engine, registrar } = setup({ users: file })
+  await registrar.installed
+  assert.equal((await engine.message('user.auth', { username: '100' })).retval, 'secret')
+
+  fs.writeFileSync(file, JSON.stringify({ 100: 'changed' }))
+  assert.equal(registrar.reload(), true)
+  assert.equal((await engine.message('user.auth', { username: '100' })).retval, 'changed')
+  fs.writeFileSync(file, '{')
+  registrar.on('error', () => {})
+  assert.equal(registrar.reload(), false)
+  assert.equal((await engine.message('user.auth', { username: '100' })).retval, 'changed')
+
+  await registrar.close()
+  fs.rmSync(dir, { recursive: true })
+  await engine.close()
+})
@@ -0,0 +1,73 @@
+/* eslint-disable no-template-curly-in-string */
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('node:fs')
+const os = require('node:os')
+const path = require('node:path')
+const { Router } = require('..')
+const { piped } = require('./engine')
+
+const RULES = [
+  { name: 'defaults', params: { maxcall: '20000' } },
+  { name: 'night', match: { called: '^1\\d\\d$' }, time: { from: '22:00', to: '06:00' }, target: 'tone/busy' },
+  { name: 'users', match: { called: '^1(\\d\\d)$' }, lookup: 'users', target: 'sip/sip:${called.1}@${host}' },
+  { name: 'external', match: { called: '^9(?<number>\\d+)$', caller: ['^1', '^2'] }, target: 'sip/${number}', params: { line: 'trunk' } }
+]
+
+function lookups () {
+  return {
+    users: async (params, vars) => vars['called.1'] === '00' ? null : { host: '10.0.0.' + vars['called.1'] }
+  }
+}
+
+test('dry run evaluates rules in order', async () => {
+  const router = new Router(null, { rules: RULES, lookups: lookups() })
+  const day = new Date(2026, 0, 1, 12, 0)
+  const night = new Date(2026, 0, 1, 23, 30)
+
+  assert.deepEqual(await router.route({ called: '142' }, { now: day }), {
+    rule: 'users', retval: 'sip/sip:42@10.0.0.42', params: { maxcall: '20000' }
+  })
+  assert.equal((await router.route({ called: '142' }, { now: night })).retval, 'tone/busy')
+  // lookup finding nothing skips rule
+  assert.equal(await router.route({ called: '100' }, { now: day }), null)
+  assert.deepEqual(await router.route({ called: '9555', caller: '201' }, { now: day }), {
+    rule: 'external', retval: 'sip/555', params: { maxcall: '20000', line: 'trunk' }
+  })
+  assert.equal(await router.route({ called: '9555', caller: '301' }, { now: day }), null)
+  assert.throws(() => router.load([{ name: 'bad', match: { called: '(' } }]), /rule bad/)
+  assert.equal(router.rules.length, 4)
+})
+
+test('route call.route and reload rules from file', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'yate-router-'))
+  const file = path.join(dir, 'rules.json')
+  fs.writeFileSync(file, JSON.stringify([{ match: { called: '^100$' }, target: 'sip/100', params: { rtp_forward: 'yes' } }]))
+  const { engine, connection, lines } = piped()
+  const router = new Router(connection, { file })
+  await router.installed
+  // unmatched calls go further down the chain
+  connection.subscribe('call.route', 100, () => 'tone/congestion')
+
+  assert.deepEqual(await engine.message('call.route', { called: '100' }), {
+    name: 'call.route', processed: true, retval: 'sip/100', params: { called: '100', rtp_forward: 'yes' }
+  })
+  assert.equal((await engine.message('call.route', { called: '200' })).retval, 'tone/congestion')
+
+  fs.writeFileSync(file, JSON.stringify([{ match: { called: '^200$' }, target: 'sip/200' }]))
+  assert.equal(router.reload(), true)
+  assert.equal((await engine.message('call.route', { called: '200' })).retval, 'sip/200')
+
+  // broken file keeps previous rules
+  fs.writeFileSync(file, '[{')
+  const errors = []
+  router.on('error', (error) => errors.push(error))
+  assert.equal(router.reload(), false)
+  assert.equal(errors.length, 1)
+  assert.equal((await engine.message('call.route', { called: '200' })).retval, 'sip/200')
+  assert.equal(lines.filter((line) => line.startsWith('< %%>install:')).length, 1)
+
+  await router.close()
+  fs.rmSync(dir, { recursive: true })
+  await engine.close()
+})
@@ -0,0 +1,58 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { parseStatus } = require('..')
+const { piped } = require('./engine')
+
+// lines as returned by Yate 6 engine.status
+const SIP = 'name=sip,type=varchans,format=Status|Address|Peer;routed=2,routing=0,total=2,chans=2,transactions=4' +
+  ';sip/1=answered|10.0.0.5:5060|wave/1,sip/2=ringing|10.0.0.6:5060|'
+const ENGINE = 'name=engine,type=system,version=6.4.0,release=1,nodename=yate1;plugins=52,inuse=2,handlers=420,hooks=3'
+const CDR = 'name=cdrbuild,type=cdr,format=Status|Caller|Called|Billid|Duration;cdrs=1;sip/1=answered|100|200|1700000000-1|12'
+const REGFILE = 'name=regfile,type=misc,format=Location;users=2;100=sip/sip:100@10.0.0.5:5060,101=sip/sip:101@10.0.0.7:5062'
+
+test('parse status lines', () => {
+  const [sip, engine] = parseStatus(SIP + '\r\n' + ENGINE + '\r\n')
+  assert.equal(sip.name, 'sip')
+  assert.equal(sip.type, 'varchans')
+  assert.deepEqual(sip.format, ['Status', 'Address', 'Peer'])
+  assert.deepEqual(sip.summary, { routed: '2', routing: '0', total: '2', chans: '2', transactions: '4' })
+  assert.deepEqual(sip.details, [
+    { id: 'sip/1', Status: 'answered', Address: '10.0.0.5:5060', Peer: 'wave/1' },
+    { id: 'sip/2', Status: 'ringing', Address: '10.0.0.6:5060', Peer: '' }
+  ])
+  assert.equal(engine.header.nodename, 'yate1')
+  assert.equal(engine.format, null)
+  assert.equal(engine.summary.handlers, '420')
+  assert.deepEqual(engine.details, [])
+  assert.deepEqual(parseStatus(''), [])
+})
+
+test('status and command helpers', async () => {
+  const { engine: mock, connection } = piped()
+  mock.onStatus('sip', SIP)
+  mock.onStatus('engine', ENGINE)
+  mock.onStatus('cdrbuild', CDR)
+  mock.onStatus('regfile', REGFILE)
+  mock.onCommand(/^module load (.*)$/, (line, match) => match[1] === 'bogus.yate' ? 'Failed to load module bogus.yate' : 'Loaded module ' + match[1])
+  mock.onCommand(/^module unload (.*)$/, (line, match) => 'Unloaded module ' + match[1])
+
+  assert.equal((await connection.status('sip')).summary.chans, '2')
+  assert.deepEqual((await connection.status()).map((status) => status.name), ['sip', 'engine', 'cdrbuild', 'regfile'])
+  const channels = await connection.channels()
+  assert.deepEqual(channels.map((channel) => [channel.module, channel.id, channel.Status]), [['sip', 'sip/1', 'answered'], ['sip', 'sip/2', 'ringing']])
+  assert.deepEqual(await connection.calls(), [{ id: 'sip/1', Status: 'answered', Caller: '100', Called: '200', Billid: '1700000000-1', Duration: '12' }])
+  assert.deepEqual((await connection.registrations()).map((row) => row.id), ['100', '101'])
+
+  assert.equal(await connection.loadModule('cdrfile.yate'), 'Loaded module cdrfile.yate')
+  await assert.rejects(connection.loadModule('bogus.yate'), /Failed to load module bogus.yate/)
+  assert.equal(await connection.unloadModule('cdrfile'), 'Unloaded module cdrfile')
+
+  await new Promise((resolve) => {
+    connection.status('engine', (err, status) => {
+      assert.equal(err, null)
+      assert.equal(status.header.version, '6.4.0')
+      resolve()
+    })
+  })
+  await mock.close()
+})
@@ -0,0 +1,74 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const events = require('node:events')
+const { piped, listening } = require('./engine')
+
+test('several watchers share one watch', async () => {
+  const { engine, connection, lines } = piped()
+  const first = []
+  const second = []
+  const listener = (params) => first.push(params.n)
+  await connection.watch('test.event', listener)
+  await connection.watch('test.event', (params) => second.push(params.n))
+  assert.equal(lines.filter((line) => line === '< %%>watch:test.event').length, 1)
+
+  await engine.message('test.event', { n: '1' })
+  await connection.unwatch('test.event', listener)
+  await engine.message('test.event', { n: '2' })
+  await new Promise((resolve) => setImmediate(resolve))
+  assert.deepEqual(first, ['1'])
+  assert.deepEqual(second, ['1', '2'])
+  assert.equal(lines.filter((line) => line === '< %%>unwatch:test.event').length, 0)
+
+  await connection.unwatch('test.event')
+  assert.equal(lines.filter((line) => line === '< %%>unwatch:test.event').length, 1)
+  await engine.close()
+})
+
+test('iterate over filtered messages', async () => {
+  const { engine, connection, lines } = piped()
+  const messages = connection.messages('call.cdr', { filter: { operation: /^(initialize|finalize)$/ } })
+  await messages.watched
+  for (const operation of ['initialize', 'update', 'finalize', 'initialize']) {
+    await engine.message('call.cdr', { operation, chan: 'sip/1' })
+  }
+  const received = []
+  for await (const message of messages) {
+    assert.equal(message.name, 'call.cdr')
+    received.push(message.params.operation)
+    if (received.length === 2) break
+  }
+  assert.deepEqual(received, ['initialize', 'finalize'])
+  // leaving the loop unwatches
+  assert.ok(lines.includes('< %%>unwatch:call.cdr'))
+  await engine.close()
+})
+
+test('stream ends on unwatch and drops over the limit', async () => {
+  const { engine, connection } = piped()
+  const messages = connection.messages('test.event', { maxBuffer: 2 })
+  await messages.watched
+  for (let i = 0; i < 4; i++) {
+    await engine.message('test.event', { n: String(i) })
+  }
+  await new Promise((resolve) => setImmediate(resolve))
+  assert.equal(messages.dropped, 2)
+  connection.unwatch('test.event')
+  const received = []
+  for await (const message of messages) {
+    received.push(message.params.n)
+  }
+  assert.deepEqual(received, ['0', '1'])
+  await engine.close()
+})
+
+test('stream ends on disconnect', async () => {
+  const { engine, connection } = await listening({ reconnect: false })
+  const messages = connection.messages('test.event')
+  await messages.watched
+  const ended = events.once(messages, 'end')
+  messages.resume()
+  await engine.close()
+  await ended
+  assert.equal(connection.watchers['test.event'], undefined)
+})
@@ -0,0 +1,301 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const stream = require('node:stream')
+const readline = require('node:readline')
+const { Connection, Message } = require('..')
+
+// lines as sent by Yate 6 engine
+const SAMPLES = [
+  '%%<setlocal:trackparam:nodejs:true',
+  '%%<setlocal:engine.version:6.4.0:true',
+  '%%<setlocal:config.telephony.nonexistent::false',
+  '%%<install:100:call.route:true',
+  '%%<watch:engine.timer:true',
+  '%%<message::false:engine.timer::time=1700000000:nodename=yate1:handlers=monitoring%z1',
+  '%%>message:0x7f2a1c005da0.1735262233:1700000001:call.route::id=sip/12:module=sip:status=incoming' +
+    ':address=10.0.0.5%z5060:billid=1700000000-3:answered=false:direction=incoming:caller=100' +
+    ':called=200:callername=Bob%zthe builder:sip_uri=sip%z200@10.0.0.1:sip_from=<sip%z100@10.0.0.5>;tag=a1' +
+    ':handlers=javascript%z15,regexroute%z100',
+  '%%<message:17000000011234:true:engine.command:Yate engine is running%J:line=status',
+  '%%<uninstall:100:call.route:true',
+  '%%<unwatch:engine.timer:true'
+]
+
+test('parse captured traffic', () => {
+  const messages = SAMPLES.map((line) => {
+    const message = new Message()
+    message.parse(line, false)
+    assert.equal(message.error, undefined, line)
+    return message
+  })
+  assert.deepEqual(messages.map((message) => message._type), [
+    'setlocal', 'setlocal', 'setlocal', 'install', 'watch', 'notification',
+    'incoming', 'answer', 'uninstall', 'unwatch'
+  ])
+  const route = messages[6]
+  assert.equal(route._id, '0x7f2a1c005da0.1735262233')
+  assert.equal(route.params.address, '10.0.0.5:5060')
+  assert.equal(route.params.callername, 'Bob:the builder')
+  assert.equal(route.params.sip_from, '<sip:100@10.0.0.5>;tag=a1')
+  assert.equal(route.params.handlers, 'javascript:15,regexroute:100')
+  assert.equal(messages[7]._retval, 'Yate engine is running\n')
+  assert.equal(messages[2]._success, false)
+})
+
+function pipe (options) {
+  // engine side of piped connection
+  const input = new stream.PassThrough()
+  const output = new stream.PassThrough()
+  const lines = []
+  const waiting = []
+  readline.createInterface(output).on('line', (line) => {
+    const resolve = waiting.shift()
+    if (resolve) resolve(line)
+    else lines.push(line)
+  })
+  const connection = new Connection(Object.assign({ input, output, parameters: { timeout: 1000 }, setlocalTimeout: 100 }, options))
+  return {
+    connection,
+    send: (line) => input.write(line + '\n'),
+    receive: () => lines.length ? Promise.resolve(lines.shift()) : new Promise((resolve) => waiting.push(resolve))
+  }
+}
+
+test('acknowledge incoming messages', async () => {
+  const { connection, send, receive } = pipe()
+  connection.subscribe('call.route', (message) => {
+    if (message.called === '200') {
+      message.reason = 'a:b'
+      return 'sip/200'
+    }
+    if (message.called === '300') {
+      throw new Error('failed')
+    }
+    return { processed: false }
+  })
+  connection.on('exception', () => {})
+  connection.connect()
+  assert.equal(await receive(), '%%>setlocal:timeout:1000')
+  assert.equal(await receive(), '%%>setlocal:trackparam:nodejs')
+  assert.equal(await receive(), '%%>setlocal:restart:true')
+  assert.equal(await receive(), '%%>install::call.route')
+
+  send('%%>message:id1:1700000001:call.route::called=200')
+  assert.equal(await receive(), '%%<message:id1:true::sip/200:called=200:reason=a%zb')
+
+  send('%%>message:id2:1700000001:call.route:old:called=300')
+  assert.equal(await receive(), '%%<message:id2:false::old:called=300')
+
+  send('%%>message:id3:1700000001:call.route::called=400:empty=')
+  assert.equal(await receive(), '%%<message:id3:false:::called=400:empty')
+})
+
+test('acknowledge message with parameter that cannot be sent', async () => {
+  const { connection, send, receive } = pipe()
+  connection.subscribe('call.route', (message) => {
+    message.reason = null
+    return 'sip/200'
+  })
+  const errors = []
+  connection.on('exception', (error) => errors.push(error))
+  connection.connect()
+  for (let i = 0; i < 4; i++) await receive()
+
+  send('%%>message:id1:1700000001:call.route::called=200')
+  assert.equal(await receive(), '%%<message:id1:false::sip/200')
+  assert.equal(errors.length, 1)
+  assert.equal(connection.handling, 0)
+})
+
+test('match answers to dispatched messages', async () => {
+  const { connection, send, receive } = pipe()
+  connection.connect()
+  for (let i = 0; i < 3; i++) await receive()
+
+  const answered = connection.dispatch('my.message', { a: 1 })
+  const line = await receive()
+  const [, id, , name, retval, param] = line.split(':')
+  assert.equal(name, 'my.message')
+  assert.equal(retval, '')
+  assert.equal(param, 'a=1')
+
+  // notification with empty id must not be taken for answer
+  send('%%<message::true:my.message:watched:a=1')
+  send(`%%<message:${id}:true:my.message:  result  :a=2`)
+  assert.deepEqual(await answered, { retval: 'result', params: { a: '2' } })
+
+  const failed = connection.dispatch('my.message')
+  const [, failedId] = (await receive()).split(':')
+  send(`%%<message:${failedId}:false:my.message::`)
+  await assert.rejects(failed, /not processed/)
+})
+
+test('promise and callback results of dispatch', async () => {
+  const { connection, send, receive } = pipe()
+  connection.connect()
+  for (let i = 0; i < 3; i++) await receive()
+  const answer = async (processed, retval) => {
+    const [, id, , name] = (await receive()).split(':')
+    send(`%%<message:${id}:${processed}:${name}:${retval}:a=2`)
+  }
+
+  const called = new Promise((resolve) => connection.dispatch('my.message', { a: 1 }, (...args) => resolve(args)))
+  await answer(true, 'ok')
+  assert.deepEqual(await called, [null, 'ok', { a: '2' }])
+
+  const failedCall = new Promise((resolve) => connection.dispatch('my.message', (...args) => resolve(args)))
+  await answer(false, '')
+  const [error, retval, params] = await failedCall
+  assert.equal(error.message, 'not processed')
+  assert.deepEqual([retval, params], [null, { a: '2' }])
+
+  const resolved = connection.dispatch('my.message')
+  await answer(true, 'ok')
+  assert.deepEqual(await resolved, { retval: 'ok', params: { a: '2' } })
+
+  const rejected = connection.dispatch('my.message')
+  await answer(false, 'no')
+  await assert.rejects(rejected, { message: 'not processed' })
+
+  const timedOut = connection.dispatch('my.message', null, { timeout: 20 })
+  await receive()
+  await assert.rejects(timedOut, { message: 'timeout' })
+  assert.deepEqual(connection.dispatchCallbacks, {})
+})
+
+test('queued message with null parameter fails alone', async () => {
+  const { connection, send, receive } = pipe()
+  const warnings = []
+  connection.on('warning', (error) => warnings.push(error.message))
+  const failed = connection.dispatch('my.message', { a: null })
+  connection.enqueue('my.stats', { b: undefined })
+  const sent = connection.dispatch('my.message', { a: 1 })
+  connection.connect()
+  for (let i = 0; i < 3; i++) await receive()
+  const [, id, , name, , param] = (await receive()).split(':')
+  assert.deepEqual([name, param], ['my.message', 'a=1'])
+  await assert.rejects(failed, /parameter a of my.message has no value/)
+  assert.deepEqual(warnings, ['parameter b of my.stats has no value'])
+  send(`%%<message:${id}:true:my.message:ok:`)
+  assert.equal((await sent).retval, 'ok')
+})
+
+test('abort dispatch before, while queued and in flight', async () => {
+  const { connection, send, receive } = pipe()
+  const aborted = AbortSignal.abort()
+  await assert.rejects(connection.dispatch('my.message', null, { signal: aborted }), { name: 'AbortError' })
+  assert.equal(connection.queue.length, 0)
+
+  const queued = new AbortController()
+  const waiting = connection.dispatch('my.message', null, { signal: queued.signal })
+  assert.equal(connection.queue.length, 1)
+  queued.abort(new Error('changed mind'))
+  await assert.rejects(waiting, /changed mind/)
+  assert.equal(connection.queue.length, 0)
+
+  connection.connect()
+  for (let i = 0; i < 3; i++) await receive()
+  const flying = new AbortController()
+  const sent = connection.dispatch('other.message', null, { signal: flying.signal })
+  // neither aborted message was sent
+  const [, id, , name] = (await receive()).split(':')
+  assert.equal(name, 'other.message')
+  flying.abort()
+  await assert.rejects(sent, { name: 'AbortError' })
+  assert.deepEqual(connection.dispatchCallbacks, {})
+  // late answer is ignored
+  send(`%%<message:${id}:true:other.message::`)
+  const next = connection.dispatch('my.message')
+  const [, nextId] = (await receive()).split(':')
+  send(`%%<message:${nextId}:true:my.message:ok:`)
+  assert.equal((await next).retval, 'ok')
+})
+
+test('enqueue without answer', async () => {
+  const { connection, send, receive } = pipe()
+  connection.enqueue('my.stats', { a: 1 })
+  connection.connect()
+  for (let i = 0; i < 3; i++) await receive()
+  const [, id, , name, retval, param] = (await receive()).split(':')
+  assert.equal(id, '')
+  assert.equal(name, 'my.stats')
+  assert.equal(retval, '')
+  assert.equal(param, 'a=1')
+  assert.equal(Object.keys(connection.dispatchCallbacks).length, 0)
+
+  // dispatched messages still get unique increasing ids
+  connection.dispatch('my.message', () => {})
+  connection.dispatch('my.message', () => {})
+  const [first, second] = [await receive(), await receive()].map((line) => line.split(':')[1])
+  assert.notEqual(first, second)
+  assert.ok(Number(second.split('.')[1]) > Number(first.split('.')[1]))
+  send(`%%<message:${first}:true:my.message::`)
+  send(`%%<message:${second}:true:my.message::`)
+})
+
+test('answers to setlocal match requests of the same name in order', async () => {
+  const { connection, send, receive } = pipe()
+  connection.connect()
+  for (let i = 0; i < 3; i++) await receive()
+
+  const answers = Promise.all([connection.getconfig('a', 'x'), connection.getconfig('a', 'x'), connection.getlocal('engine.version')])
+  assert.deepEqual([await receive(), await receive(), await receive()],
+    ['%%>setlocal:config.a.x:', '%%>setlocal:config.a.x:', '%%>setlocal:engine.version:'])
+  send('%%<setlocal:engine.version:6.4.0:true')
+  send('%%<setlocal:config.a.x:1:true')
+  send('%%<setlocal:config.a.x:2:true')
+  assert.deepEqual(await answers, ['1', '2', '6.4.0'])
+
+  // late answer still belongs to timed out request
+  const lost = connection.getconfig('a', 'y')
+  await receive()
+  await assert.rejects(lost, /timeout/)
+  const next = connection.getconfig('a', 'y')
+  await receive()
+  send('%%<setlocal:config.a.y:late:true')
+  send('%%<setlocal:config.a.y:fresh:true')
+  assert.equal(await next, 'fresh')
+})
+
+test('parameters set before connect are sent even if request timed out', async () => {
+  // piped connection starts 200 ms after connect()
+  const { connection, send, receive } = pipe({ setlocalTimeout: 400 })
+  await assert.rejects(connection.setlocal('trackparam', 'other'), /timeout/)
+  connection.connect()
+  const live = connection.setlocal('bufsize', 4096)
+  assert.deepEqual([await receive(), await receive(), await receive(), await receive()], [
+    '%%>setlocal:bufsize:4096',
+    '%%>setlocal:timeout:1000',
+    '%%>setlocal:trackparam:other',
+    '%%>setlocal:restart:true'
+  ])
+  send('%%<setlocal:bufsize:4096:true')
+  assert.equal(await live, '4096')
+})
+
+test('config sections are cached until cleared', async () => {
+  const { connection, send, receive } = pipe()
+  connection.connect()
+  for (let i = 0; i < 3; i++) await receive()
+
+  const section = connection.getsection('a')
+  assert.equal(await receive(), '%%>setlocal:config.a:')
+  send('%%<setlocal:config.a:x,y:true')
+  assert.deepEqual([await receive(), await receive()], ['%%>setlocal:config.a.x:', '%%>setlocal:config.a.y:'])
+  send('%%<setlocal:config.a.x:1:true')
+  send('%%<setlocal:config.a.y:2:true')
+  assert.deepEqual(await section, { x: '1', y: '2' })
+  assert.equal(connection.getsection('a'), section)
+
+  // failures are not cached
+  connection.clearsection('a')
+  const failed = connection.getsection('a')
+  assert.equal(await receive(), '%%>setlocal:config.a:')
+  send('%%<setlocal:config.a::false')
+  await assert.rejects(failed, /not processed/)
+  const again = connection.getsection('a')
+  assert.notEqual(again, failed)
+  assert.equal(await receive(), '%%>setlocal:config.a:')
+  send('%%<setlocal:config.a::true')
+  assert.deepEqual(await again, {})
+})